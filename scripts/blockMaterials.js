@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { blockRegistry } from './blocks';
+import { TextureAtlas } from './textureAtlas';
+
+// Blocks without textures get a tile filled with their color
+const colorBlocks = blockRegistry.all.filter((block) => !block.textures && block.color);
+const getColorTileName = (block) => `color:${block.name}`;
+
+/**
+ * Every block texture packed into a single texture, so chunks can be drawn
+ * with one material
+ */
+export const atlas = new TextureAtlas([
+  ...Object.keys(blockRegistry.textures),
+  ...colorBlocks.map(getColorTileName)
+]);
+
+/**
+ * Atlas tile index for each face of each block type (right, left, top,
+ * bottom, front, back), keyed by block id
+ * @type {{ [blockId: number]: number[] }}
+ */
+export const blockFaceTiles = {};
+
+for (const block of blockRegistry.all) {
+  if (block.textures) {
+    blockFaceTiles[block.id] = blockRegistry.getFaceTextures(block).map((name) => atlas.getTileIndex(name));
+  } else if (block.color) {
+    blockFaceTiles[block.id] = new Array(6).fill(atlas.getTileIndex(getColorTileName(block)));
+  }
+}
+
+/**
+ * Colour of the light given off by blocks like torches
+ */
+const blockLightColor = new THREE.Color(1, 0.85, 0.6);
+
+/**
+ * Creates a material that draws block faces from the atlas. Face UVs are
+ * measured in blocks so the texture repeats across greedy meshed quads, and
+ * the 'tileOffset' attribute picks which tile of the atlas is repeated.
+ *
+ * The 'light' attribute holds the sky and block light levels (0 - 1) of the
+ * face. Sky light scales the sun, moon and ambient light, so places the sky
+ * doesn't reach are dark at any time of day. Block light (e.g. from torches)
+ * shines the same day and night.
+ * @param {THREE.MeshLambertMaterialParameters} parameters
+ * @returns {THREE.MeshLambertMaterial}
+ */
+function createAtlasMaterial(parameters = {}) {
+  const material = new THREE.MeshLambertMaterial({ map: atlas.texture, ...parameters });
+
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.tileScale = { value: atlas.tileScale };
+    // Keep samples half a texel inside the tile so the neighbouring tiles don't bleed in
+    shader.uniforms.tileInset = { value: 0.5 / atlas.tileSize };
+    shader.uniforms.blockLightColor = { value: blockLightColor };
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <uv_pars_vertex>', `#include <uv_pars_vertex>
+        attribute vec2 tileOffset;
+        attribute vec2 light;
+        varying vec2 vTileOffset;
+        varying vec2 vLight;`)
+      .replace('#include <uv_vertex>', `#include <uv_vertex>
+        vTileOffset = tileOffset;
+        vLight = light;`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <uv_pars_fragment>', `#include <uv_pars_fragment>
+        varying vec2 vTileOffset;
+        varying vec2 vLight;
+        uniform vec2 tileScale;
+        uniform float tileInset;
+        uniform vec3 blockLightColor;
+
+        // Every light level is 80% as bright as the one above it
+        float lightFactor(float level) {
+          return pow(0.8, (1.0 - level) * 15.0);
+        }`)
+      .replace('#include <map_fragment>', `
+        vec2 tileUv = clamp(fract(vMapUv), tileInset, 1.0 - tileInset);
+        diffuseColor *= texture2D(map, vTileOffset + tileUv * tileScale);`)
+      .replace('#include <opaque_fragment>', `
+        outgoingLight = max(
+          outgoingLight * lightFactor(vLight.x),
+          diffuseColor.rgb * blockLightColor * lightFactor(vLight.y)
+        );
+        #include <opaque_fragment>`);
+  };
+
+  material.customProgramCacheKey = () => 'blockAtlas';
+
+  return material;
+}
+
+/**
+ * The material shared by the solid block meshes of every chunk. The vertex
+ * colours hold the ambient occlusion, turning them off turns it off.
+ */
+export const blockMaterial = createAtlasMaterial({ vertexColors: true });
+
+/**
+ * The material shared by the fluid meshes of every chunk. Fluids are
+ * translucent and can be seen from below the surface.
+ */
+export const fluidMaterial = createAtlasMaterial({
+  transparent: true,
+  opacity: 0.6,
+  depthWrite: false,
+  side: THREE.DoubleSide
+});
+
+/**
+ * The default texture images, keyed by texture name. Textures that
+ * failed to load are undefined.
+ * @type {{ [name: string]: HTMLImageElement | undefined }}
+ */
+let defaultImages = {};
+
+/**
+ * Loads the default block textures and draws them into the atlas
+ * @returns {Promise<void>}
+ */
+export async function loadDefaultTextures() {
+  const loader = new THREE.ImageLoader();
+
+  const images = await Promise.all(Object.entries(blockRegistry.textures).map(async ([name, path]) => {
+    try {
+      return [name, await loader.loadAsync(path)];
+    } catch {
+      console.error(`Failed to load texture '${name}' from ${path}`);
+      return [name, undefined];
+    }
+  }));
+
+  defaultImages = Object.fromEntries(images);
+  applyTextures();
+}
+
+/**
+ * Redraws the atlas with 'overrides' (e.g. from a resource pack) in place of
+ * the default textures. Textures missing from both get a placeholder.
+ * @param {{ [name: string]: CanvasImageSource }} overrides
+ */
+export function applyTextures(overrides = {}) {
+  const sources = { ...defaultImages, ...overrides };
+  for (const block of colorBlocks) {
+    sources[getColorTileName(block)] = block.color;
+  }
+  atlas.draw(sources);
+}
+
+loadDefaultTextures();
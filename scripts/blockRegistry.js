@@ -0,0 +1,372 @@
+/**
+ * The faces of a block, in the same order as the BoxGeometry material groups
+ */
+export const BLOCK_FACES = ['right', 'left', 'top', 'bottom', 'front', 'back'];
+
+const SIDE_FACES = ['right', 'left', 'front', 'back'];
+
+/**
+ * A block definition, as loaded from JSON
+ * @typedef {object} BlockDefinition
+ * @property {number} id Unique id, stored in the chunk data (0 - 65535)
+ * @property {string} name Unique name, used to look the block up in code
+ * @property {boolean} [solid] Whether the player collides with the block (default true)
+ * @property {boolean} [transparent] Whether blocks behind it can be seen and light passes through it (default false)
+ * @property {boolean} [fluid] Whether the block flows (see FluidSimulation) and is drawn translucent (default false)
+ * @property {boolean} [gravity] Whether the block falls when there's nothing below it (default false)
+ * @property {number} [light] Block light level the block gives off (0 - 15, default 0)
+ * @property {{ all?: string, side?: string, top?: string, bottom?: string, right?: string, left?: string, front?: string, back?: string }} [textures]
+ * Texture names for each face. Specific faces take precedence over 'side', which takes precedence over 'all'.
+ * @property {string} [color] Flat, unlit color for blocks without textures (e.g. clouds)
+ * @property {ResourceSettings} [resource] Settings for generating the block as an underground resource
+ * @property {string | null} [drop] Name of the block added to the inventory when the block is mined,
+ * or null if it drops nothing (default the block itself)
+ * @property {number} [maxStack] Most items of the block that fit in one inventory slot (default 64)
+ * @property {string} [icon] Image shown for the block in the inventory (default its top texture)
+ * @property {number | null} [hardness] Seconds it takes to mine the block by hand,
+ * or null if it can't be mined (default 1)
+ * @property {string} [category] What the block is made of, e.g. 'stone' or 'wood'. Tools mine
+ * some categories faster than others (see tools.json).
+ * @property {boolean} [item] Whether this is an item that can only be carried, like a stick,
+ * rather than placed in the world (default false). Items need an icon instead of textures.
+ */
+
+/**
+ * How a resource (e.g. an ore) is spread through the stone underground
+ * @typedef {object} ResourceSettings
+ * @property {{ x: number, y: number, z: number }} scale Size of the veins along each axis, in blocks
+ * @property {number} scarcity 0 - 1, the higher the rarer
+ * @property {number} minY Lowest height the resource is generated at
+ * @property {number} maxY Highest height the resource is generated at
+ * @property {{ [biome: string]: number }} [biomes] How much more (or less) common the resource
+ * is in each biome. Biomes left out count as 1.
+ */
+
+/**
+ * Thrown when the block definitions are invalid
+ */
+export class BlockRegistryError extends Error {
+  name = 'BlockRegistryError';
+}
+
+/**
+ * Holds all of the block types, loaded from JSON definitions. The
+ * definitions are validated up front so mistakes show up at startup.
+ *
+ * This module is shared with the chunk workers, so it must stay DOM free.
+ */
+export class BlockRegistry {
+  /**
+   * @type {BlockDefinition[]}
+   */
+  all = [];
+
+  /**
+   * Block definitions keyed by name
+   * @type {{ [name: string]: BlockDefinition }}
+   */
+  byName = {};
+
+  /**
+   * Block definitions keyed by id
+   * @type {Map<number, BlockDefinition>}
+   */
+  byId = new Map();
+
+  /**
+   * @param {{ textures: { [name: string]: string }, blocks: BlockDefinition[] }} definitions
+   * @throws {BlockRegistryError} If any of the definitions are invalid
+   */
+  constructor(definitions) {
+    this.textures = definitions.textures ?? {};
+
+    const errors = validate(definitions);
+    if (errors.length > 0) {
+      throw new BlockRegistryError(`Invalid block definitions:\n${errors.join('\n')}`);
+    }
+
+    for (const definition of definitions.blocks) {
+      const block = { solid: true, transparent: false, fluid: false, gravity: false, light: 0, maxStack: 64, hardness: 1, item: false, ...definition };
+      this.all.push(block);
+      this.byName[block.name] = block;
+      this.byId.set(block.id, block);
+    }
+  }
+
+  /**
+   * @param {number} id
+   * @returns {BlockDefinition | undefined}
+   */
+  get(id) {
+    return this.byId.get(id);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.byId.has(id);
+  }
+
+  /**
+   * Returns true if the player collides with blocks of type 'id'
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isSolid(id) {
+    return this.byId.get(id)?.solid ?? false;
+  }
+
+  /**
+   * Returns true if blocks behind blocks of type 'id' can be seen
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isTransparent(id) {
+    return this.byId.get(id)?.transparent ?? true;
+  }
+
+  /**
+   * Returns true if blocks of type 'id' are fluids
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isFluid(id) {
+    return this.byId.get(id)?.fluid ?? false;
+  }
+
+  /**
+   * Returns true if blocks of type 'id' fall when unsupported
+   * @param {number} id
+   * @returns {boolean}
+   */
+  hasGravity(id) {
+    return this.byId.get(id)?.gravity ?? false;
+  }
+
+  /**
+   * Returns true if blocks of type 'id' stop light from passing through them.
+   * Unknown blocks (e.g. in chunks that aren't loaded) block light.
+   * @param {number | null} id
+   * @returns {boolean}
+   */
+  blocksLight(id) {
+    const block = this.byId.get(id);
+    return block ? !block.transparent : true;
+  }
+
+  /**
+   * Returns how many seconds it takes to mine a block of type 'blockId'
+   * with a tool
+   * @param {number} blockId
+   * @param {{ [category: string]: number }} effectiveness How many times faster than
+   * the hand the tool mines each block category
+   * @returns {number} Infinity if the block can't be mined
+   */
+  getMiningTime(blockId, effectiveness = {}) {
+    const block = this.byId.get(blockId);
+    if (!block || block.hardness === null || block.fluid || blockId === 0) return Infinity;
+
+    return block.hardness / (effectiveness[block.category] ?? 1);
+  }
+
+  /**
+   * Returns true if blocks of type 'id' can be removed from the world.
+   * Blocks without a hardness (e.g. bedrock) can't, whatever the tool.
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isBreakable(id) {
+    return this.byId.get(id)?.hardness !== null;
+  }
+
+  /**
+   * Returns true if blocks of type 'id' can be placed in the world.
+   * Items and the empty block can't.
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isPlaceable(id) {
+    const block = this.byId.get(id);
+    return !!block && !block.item && id !== 0;
+  }
+
+  /**
+   * Returns the block light level given off by blocks of type 'id'
+   * @param {number} id
+   * @returns {number}
+   */
+  getLightLevel(id) {
+    return this.byId.get(id)?.light ?? 0;
+  }
+
+  /**
+   * Blocks that are generated as underground resources
+   * @type {BlockDefinition[]}
+   */
+  get resources() {
+    return this.all.filter((block) => block.resource);
+  }
+
+  /**
+   * Returns the id of the block dropped when a block of type 'id' is mined,
+   * or null if it drops nothing
+   * @param {number} id
+   * @returns {number | null}
+   */
+  getDrop(id) {
+    const block = this.byId.get(id);
+    if (!block || block.drop === null || id === 0) return null;
+    return block.drop === undefined ? id : this.byName[block.drop].id;
+  }
+
+  /**
+   * Returns the most items of type 'id' that fit in one inventory slot
+   * @param {number} id
+   * @returns {number}
+   */
+  getMaxStack(id) {
+    return this.byId.get(id)?.maxStack ?? 64;
+  }
+
+  /**
+   * Returns the path of the image shown for blocks of type 'id' in the
+   * inventory, or null for blocks that only have a color
+   * @param {number} id
+   * @returns {string | null}
+   */
+  getIcon(id) {
+    const block = this.byId.get(id);
+    if (!block) return null;
+    return block.icon ?? this.textures[getFaceTexture(block, 'top')] ?? null;
+  }
+
+  /**
+   * Returns the name of the texture used for each face of 'block',
+   * in BLOCK_FACES order
+   * @param {BlockDefinition} block
+   * @returns {string[]}
+   */
+  getFaceTextures(block) {
+    return BLOCK_FACES.map((face) => getFaceTexture(block, face));
+  }
+}
+
+/**
+ * @param {BlockDefinition} block
+ * @param {string} face
+ * @returns {string | undefined}
+ */
+function getFaceTexture(block, face) {
+  const textures = block.textures ?? {};
+  if (textures[face]) return textures[face];
+  if (SIDE_FACES.includes(face) && textures.side) return textures.side;
+  return textures.all;
+}
+
+/**
+ * Checks the block definitions for mistakes
+ * @param {{ textures: { [name: string]: string }, blocks: BlockDefinition[] }} definitions
+ * @returns {string[]} A description of each problem found
+ */
+function validate(definitions) {
+  const errors = [];
+  const textures = definitions.textures ?? {};
+
+  if (!Array.isArray(definitions.blocks)) {
+    return ['"blocks" must be an array'];
+  }
+
+  const ids = new Map();
+  const names = new Map();
+
+  for (const block of definitions.blocks) {
+    const label = `block '${block.name}' (id ${block.id})`;
+
+    if (!Number.isInteger(block.id) || block.id < 0 || block.id > 0xffff) {
+      errors.push(`${label}: id must be an integer between 0 and 65535`);
+    } else if (ids.has(block.id)) {
+      errors.push(`${label}: duplicate id, already used by '${ids.get(block.id)}'`);
+    } else {
+      ids.set(block.id, block.name);
+    }
+
+    if (typeof block.name !== 'string' || block.name.length === 0) {
+      errors.push(`${label}: missing name`);
+    } else if (names.has(block.name)) {
+      errors.push(`${label}: duplicate name, already used by id ${names.get(block.name)}`);
+    } else {
+      names.set(block.name, block.id);
+    }
+
+    if (block.item) {
+      if (typeof block.icon !== 'string') {
+        errors.push(`${label}: items need an icon`);
+      }
+    } else if (block.name !== 'empty') {
+      if (!block.textures && !block.color) {
+        errors.push(`${label}: needs either textures or a color`);
+      }
+
+      if (block.textures) {
+        const missing = new Set();
+        BLOCK_FACES.forEach((face) => {
+          const texture = getFaceTexture(block, face);
+          if (!texture) {
+            errors.push(`${label}: no texture for the ${face} face`);
+          } else if (!textures[texture]) {
+            missing.add(texture);
+          }
+        });
+        missing.forEach((texture) => errors.push(`${label}: missing texture '${texture}'`));
+      }
+    }
+
+    if (block.resource) {
+      const { scale, scarcity, minY, maxY, biomes } = block.resource;
+      if (!scale || ![scale.x, scale.y, scale.z].every(Number.isFinite) || !Number.isFinite(scarcity)) {
+        errors.push(`${label}: resource needs a scale { x, y, z } and a scarcity`);
+      }
+      if (!Number.isInteger(minY) || !Number.isInteger(maxY) || minY > maxY) {
+        errors.push(`${label}: resource needs a minY and maxY, with minY <= maxY`);
+      }
+      if (biomes !== undefined && (typeof biomes !== 'object' || !Object.values(biomes).every((n) => Number.isFinite(n) && n >= 0))) {
+        errors.push(`${label}: resource biomes must map biome names to multipliers`);
+      }
+    }
+
+    if (block.light !== undefined && (!Number.isInteger(block.light) || block.light < 0 || block.light > 15)) {
+      errors.push(`${label}: light must be an integer between 0 and 15`);
+    }
+
+    if (block.maxStack !== undefined && (!Number.isInteger(block.maxStack) || block.maxStack < 1)) {
+      errors.push(`${label}: maxStack must be a positive integer`);
+    }
+
+    if (block.hardness !== undefined && block.hardness !== null && !(Number.isFinite(block.hardness) && block.hardness >= 0)) {
+      errors.push(`${label}: hardness must be a number of seconds or null`);
+    }
+
+    if (block.category !== undefined && typeof block.category !== 'string') {
+      errors.push(`${label}: category must be a string`);
+    }
+
+    if (block.icon !== undefined && typeof block.icon !== 'string') {
+      errors.push(`${label}: icon must be an image path`);
+    }
+  }
+
+  // Drops can refer to blocks defined further down
+  for (const block of definitions.blocks) {
+    if (block.drop !== undefined && block.drop !== null && !names.has(block.drop)) {
+      errors.push(`block '${block.name}' (id ${block.id}): drops unknown block '${block.drop}'`);
+    }
+  }
+
+  if (ids.get(0) !== 'empty') {
+    errors.push(`id 0 must be the 'empty' block`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,105 @@
+/**
+ * Flat typed-array storage for the blocks in a chunk. Block ids are stored
+ * in a Uint16Array indexed by getIndex(x, y, z). Any other per-block data
+ * (e.g. render bookkeeping) lives in separate layers that are only
+ * allocated when something asks for them.
+ *
+ * This module is shared with the chunk workers, so it must stay DOM free.
+ */
+export class ChunkData {
+  /**
+   * Optional per-block arrays, keyed by name
+   * @type {{ [name: string]: ArrayLike<number> }}
+   */
+  layers = {};
+
+  /**
+   * @param {{ width: number, height: number }} size
+   * @param {Uint16Array} ids Existing block ids to wrap (e.g. from a chunk worker)
+   */
+  constructor(size, ids = new Uint16Array(size.width * size.width * size.height)) {
+    this.size = size;
+    this.ids = ids;
+  }
+
+  /**
+   * Returns the layer called 'name', allocating it the first time it is requested
+   * @param {string} name
+   * @param {Uint8ArrayConstructor | Uint16ArrayConstructor | Int32ArrayConstructor} ArrayType
+   * @returns {ArrayLike<number>}
+   */
+  getLayer(name, ArrayType = Uint8Array) {
+    if (!this.layers[name]) {
+      this.layers[name] = new ArrayType(this.ids.length);
+    }
+    return this.layers[name];
+  }
+
+  /**
+   * Frees the layer called 'name'
+   * @param {string} name
+   */
+  deleteLayer(name) {
+    delete this.layers[name];
+  }
+
+  /**
+   * Gets the block id at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getBlockId(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      return this.ids[this.getIndex(x, y, z)];
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Sets the block id for the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} id
+   */
+  setBlockId(x, y, z, id) {
+    if (this.inBounds(x, y, z)) {
+      this.ids[this.getIndex(x, y, z)] = id;
+    }
+  }
+
+  /**
+   * Returns true if every block in the chunk is empty (id 0)
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return !this.ids.some((id) => id !== 0);
+  }
+
+  /**
+   * Returns the index of the block at (x, y, z) in the data arrays
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number}
+   */
+  getIndex(x, y, z) {
+    return x + this.size.width * (z + this.size.width * y);
+  }
+
+  /**
+   * Checks if the (x, y, z) coordinates are within bounds
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @return {boolean}
+   */
+  inBounds(x, y, z) {
+    return x >= 0 && x < this.size.width &&
+      y >= 0 && y < this.size.height &&
+      z >= 0 && z < this.size.width;
+  }
+}
@@ -0,0 +1,428 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+// The extensions let Node import the generator (see generation.js)
+import { RNG, hash, hashSeed } from './rng.js';
+import { blocks } from './blocks.js';
+import { ChunkData } from './chunkData.js';
+import { structureRegistry } from './structures.js';
+
+/**
+ * Returns the biome at the block (x, z) of the chunk at 'position'. Also used
+ * outside of generation (e.g. for mob spawning), with the same noise the
+ * generator builds from the seed (see createTerrainNoise).
+ * @param {SimplexNoise} simplex
+ * @param {object} params World generation parameters
+ * @param {{ x: number, z: number }} position World position of the chunk
+ * @param {number} x
+ * @param {number} z
+ * @returns {'Tundra' | 'Temperate' | 'Jungle' | 'Desert'}
+ */
+export function getBiome(simplex, params, position, x, z) {
+  let noise = 0.5 * simplex.noise(
+    (position.x + x) / params.biomes.scale,
+    (position.z + z) / params.biomes.scale
+  ) + 0.5;
+
+  // In world coordinates, so every chunk agrees on the biome of a column.
+  // Version 1 worlds only scaled the block coordinates, and keep doing so.
+  const { scale } = params.biomes.variation;
+  const legacy = params.version < 2;
+  noise += params.biomes.variation.amplitude * (simplex.noise(
+    legacy ? position.x + x / scale : (position.x + x) / scale,
+    legacy ? position.z + z / scale : (position.z + z) / scale
+  ));
+
+  if (noise < params.biomes.tundraToTemperate) {
+    return 'Tundra';
+  } else if (noise < params.biomes.temperateToJungle) {
+    return 'Temperate';
+  } else if (noise < params.biomes.jungleToDesert) {
+    return 'Jungle';
+  } else {
+    return 'Desert';
+  }
+}
+
+/**
+ * Creates the noise for the terrain, biomes and resources from the world seed.
+ * Also used outside of generation, e.g. to look up biomes with getBiome.
+ * @param {object} params World generation parameters
+ * @returns {SimplexNoise}
+ */
+export function createTerrainNoise(params) {
+  return new SimplexNoise(new RNG(hashSeed(params.seed)));
+}
+
+/**
+ * Generates the voxel data for a single chunk section. This runs inside the
+ * chunk workers (see chunkWorker.js) and in Node (see generation.js), so it
+ * must stay free of any DOM or rendering code.
+ *
+ * Every section of a column runs through the whole column (noise, trees,
+ * random numbers) but only writes the blocks inside its own bounds, so the
+ * sections line up exactly no matter which ones are generated. The same
+ * goes for features (trees and structures) in the columns around the
+ * section that reach into it.
+ */
+export class ChunkGenerator {
+  /**
+   * @type {ChunkData}
+   */
+  data;
+
+  /**
+   * @param {{ width: number, height: number }} size
+   * @param {object} params World generation parameters
+   * @param {({ id: number } & import('./blockRegistry.js').ResourceSettings)[]} resources
+   * @param {{ x: number, y: number, z: number }} position World position of the chunk section
+   */
+  constructor(size, params, resources, position) {
+    this.size = size;
+    this.params = params;
+    this.resources = resources;
+    this.position = position;
+    this.seed = hashSeed(params.seed);
+    this.data = new ChunkData(size);
+  }
+
+  /**
+   * Generates the terrain, caves, features, clouds and resources for this section and
+   * applies the player changes on top of it
+   * @param {{ x: number, y: number, z: number, id: number }[]} changes
+   * @returns {Uint16Array | null} The block ids, or null if the section is completely empty
+   */
+  generate(changes = []) {
+    const simplex = createTerrainNoise(this.params);
+    const caveNoise = new SimplexNoise(new RNG(hash(this.seed, 'caves')));
+    this.generateTerrain(simplex, caveNoise);
+    this.generateFeatures(simplex, caveNoise);
+    this.generateClouds();
+    this.applyPlayerChanges(changes);
+    return this.data.isEmpty() ? null : this.data.ids;
+  }
+
+  getBiome(simplex, x, z) {
+    return getBiome(simplex, this.params, this.position, x, z);
+  }
+
+  /**
+   * Works out the biome, surface height and ravine of the column (x, z).
+   * The column can be outside of the section, e.g. to find out whether a
+   * tree next door reaches into it.
+   * @param {SimplexNoise} simplex
+   * @param {SimplexNoise} caveNoise
+   * @param {number} x
+   * @param {number} z
+   * @returns {{ biome: string, height: number, ravineFloor: number | null }}
+   */
+  getColumn(simplex, caveNoise, x, z) {
+    const biome = this.getBiome(simplex, x, z);
+
+    const value = simplex.noise(
+      (this.position.x + x) / this.params.terrain.scale,
+      (this.position.z + z) / this.params.terrain.scale
+    );
+
+    const scaleNoise = this.params.terrain.offset +
+      this.params.terrain.magnitude * value;
+
+    // There's no upper limit, anything above the top section is simply never generated
+    const height = Math.max(0, Math.floor(scaleNoise));
+    const ravineFloor = this.getRavineFloor(caveNoise, x, z, height);
+
+    return { biome, height, ravineFloor };
+  }
+
+  /**
+   * @param {SimplexNoise} simplex
+   * @param {SimplexNoise} caveNoise
+   */
+  generateTerrain(simplex, caveNoise) {
+    for (let x = 0; x < this.size.width; x++) {
+      for (let z = 0; z < this.size.width; z++) {
+        const { biome, height, ravineFloor } = this.getColumn(simplex, caveNoise, x, z);
+
+        for (let y = this.size.height - 1; y >= 0; y--) {
+          const worldY = this.position.y + y;
+
+          if (worldY === 0) {
+            // The floor of the world, which can't be dug through
+            this.data.setBlockId(x, y, z, blocks.bedrock.id);
+          } else if (ravineFloor !== null && worldY <= height && worldY > ravineFloor) {
+            // Leave the ravine open to the sky
+          } else if (worldY <= this.params.terrain.waterOffset && worldY === height) {
+            this.data.setBlockId(x, y, z, blocks.sand.id);
+          } else if (worldY === height) {
+            let groundBlockType;
+            if (biome === 'Desert') {
+              groundBlockType = blocks.sand.id;
+            } else if (biome === 'Temperate' || biome === 'Jungle') {
+              groundBlockType = blocks.grass.id;
+            } else if (biome === 'Tundra') {
+              groundBlockType = blocks.snow.id;
+            }
+
+            this.data.setBlockId(x, y, z, groundBlockType);
+          } else if (worldY < height && this.data.getBlockId(x, y, z) === blocks.empty.id) {
+            const cave = this.getCave(caveNoise, x, y, z, height);
+            if (cave !== 'cave') {
+              this.generateResourcesIfNeeded(simplex, biome, x, y, z, height - worldY, cave === 'wall');
+            }
+          } else if (worldY <= this.params.terrain.waterOffset && this.data.getBlockId(x, y, z) === blocks.empty.id) {
+            // Fill everything below sea level with water sources
+            this.data.setBlockId(x, y, z, blocks.water.id);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Places the trees and structures that reach into this section. Features
+   * are rolled for every column close enough to reach in, including the
+   * ones in neighbouring chunks and the ones whose ground is in another
+   * section, and only the blocks inside the section are written. Each column
+   * has its own random streams, so a feature only depends on where it is and
+   * every chunk it touches places the same one.
+   * @param {SimplexNoise} simplex
+   * @param {SimplexNoise} caveNoise
+   */
+  generateFeatures(simplex, caveNoise) {
+    const reach = Math.max(this.params.trees.canopy.maxRadius, structureRegistry.maxRadius);
+
+    // Always in the same (world) order, so overlapping features come out the same everywhere
+    for (let x = -reach; x < this.size.width + reach; x++) {
+      for (let z = -reach; z < this.size.width + reach; z++) {
+        const { biome, height, ravineFloor } = this.getColumn(simplex, caveNoise, x, z);
+        if (height <= this.params.terrain.waterOffset || ravineFloor !== null) continue;
+
+        const worldX = this.position.x + x;
+        const worldZ = this.position.z + z;
+        const y = height + 1 - this.position.y;
+
+        const treeRng = new RNG(hash(this.seed, 'trees', worldX, worldZ));
+        if (treeRng.random() < this.params.trees.frequency) {
+          this.generateTree(treeRng, biome, x, y, z);
+          continue;
+        }
+
+        const structureRng = new RNG(hash(this.seed, 'structures', worldX, worldZ));
+        const roll = structureRng.random();
+        let chance = 0;
+        for (const structure of structureRegistry.all) {
+          chance += structure.biomes[biome] ?? 0;
+          if (roll < chance) {
+            this.generateStructure(structure, x, y, z);
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Places 'structure' centered on the column (x, z), with its bottom layer
+   * 'offsetY' above y. Blocks outside of the section are left out.
+   * @param {import('./structureRegistry.js').Structure} structure
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  generateStructure(structure, x, y, z) {
+    const bottom = y + structure.offsetY;
+    for (const block of structure.blocks) {
+      this.data.setBlockId(x + block.x, bottom + block.y, z + block.z, block.id);
+    }
+  }
+
+  /**
+   * Checks whether the cave carver hollows out the block (x, y, z). Tunnels
+   * wind along where two 3D noise fields are both close to zero, and
+   * caverns open up where a third, larger one peaks. Everything is in world
+   * coordinates, so caves carry on seamlessly into the next chunk.
+   * @param {SimplexNoise} noise
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} height Height of the terrain surface in this column
+   * @returns {'cave' | 'wall' | null} 'cave' if the block is hollowed out, 'wall'
+   * if it's right next to a cave, null if it's solid rock
+   */
+  getCave(noise, x, y, z, height) {
+    const caves = this.params.caves;
+    const worldX = this.position.x + x;
+    const worldY = this.position.y + y;
+    const worldZ = this.position.z + z;
+
+    // Caves stay below the surface, ravines are the way in
+    if (worldY < caves.minHeight || worldY > height - caves.surfaceDepth) return null;
+
+    // Squashed vertically, so tunnels run more sideways than up and down
+    const sx = worldX / caves.tunnelScale;
+    const sy = worldY / (caves.tunnelScale * caves.verticalScale);
+    const sz = worldZ / caves.tunnelScale;
+    const tunnel = Math.max(
+      Math.abs(noise.noise3d(sx, sy, sz)),
+      Math.abs(noise.noise3d(sx + 100, sy + 100, sz + 100))
+    ) / caves.tunnelSize;
+
+    const cavern = (caves.cavernThreshold - noise.noise3d(
+      worldX / caves.cavernScale + 200,
+      worldY / (caves.cavernScale * caves.verticalScale),
+      worldZ / caves.cavernScale
+    )) / (1 - caves.cavernThreshold);
+
+    // Both are below 1 inside the cave, and grow with the distance to it
+    const distance = Math.min(tunnel, cavern + 1);
+    if (distance < 1) return 'cave';
+    if (distance < 1 + caves.wallThickness) return 'wall';
+    return null;
+  }
+
+  /**
+   * Returns the height the ravine in the column (x, z) goes down to, or
+   * null if there's no ravine there. Ravines follow the ridges of a 2D
+   * noise, and get deeper towards their middle.
+   * @param {SimplexNoise} noise
+   * @param {number} x
+   * @param {number} z
+   * @param {number} height Height of the terrain surface in this column
+   * @returns {number | null}
+   */
+  getRavineFloor(noise, x, z, height) {
+    const ravines = this.params.caves.ravines;
+    // Not under water, the sea would drain into it
+    if (height <= this.params.terrain.waterOffset) return null;
+
+    const worldX = this.position.x + x;
+    const worldZ = this.position.z + z;
+
+    const ridge = Math.abs(noise.noise(worldX / ravines.scale, worldZ / ravines.scale));
+    if (ridge >= ravines.width) return null;
+
+    // Only some stretches of the ridges become ravines
+    const mask = 0.5 * noise.noise(worldX / ravines.scale + 300, worldZ / ravines.scale + 300) + 0.5;
+    if (mask >= ravines.frequency) return null;
+
+    const depth = ravines.depth * (1 - ridge / ravines.width);
+    return Math.max(this.params.caves.minHeight - 1, Math.floor(height - depth));
+  }
+
+  /**
+   * Fills an underground block: the biome's topsoil near the surface, and
+   * stone with the resources in it below that
+   * @param {SimplexNoise} simplex
+   * @param {string} biome
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} depth How far below the surface the block is
+   * @param {boolean} caveWall Whether the block borders a cave, where resources are more common
+   */
+  generateResourcesIfNeeded(simplex, biome, x, y, z, depth, caveWall = false) {
+    if (depth <= this.params.topsoil[biome]) {
+      this.data.setBlockId(x, y, z, biome === 'Desert' ? blocks.sand.id : blocks.dirt.id);
+      return;
+    }
+
+    this.data.setBlockId(x, y, z, blocks.stone.id);
+
+    const worldY = this.position.y + y;
+    const bonus = caveWall ? this.params.caves.oreBonus : 0;
+    this.resources.forEach(resource => {
+      if (worldY < resource.minY || worldY > resource.maxY) return;
+
+      // How much of the stone the resource takes up, 1 - scarcity in an average biome
+      const abundance = (1 - resource.scarcity) * (resource.biomes?.[biome] ?? 1) + bonus;
+      if (abundance <= 0) return;
+
+      const value = simplex.noise3d(
+        (this.position.x + x) / resource.scale.x,
+        (this.position.y + y) / resource.scale.y,
+        (this.position.z + z) / resource.scale.z);
+
+      if (value > 1 - abundance) {
+        this.data.setBlockId(x, y, z, resource.id);
+      }
+    });
+  }
+
+  /**
+   * Populates the world with trees. (x, y, z) is the bottom of the trunk in
+   * section coordinates, which may lie outside of the section.
+   * @param {RNG} rng
+   */
+  generateTree(rng, biome, x, y, z) {
+    const minH = this.params.trees.trunk.minHeight;
+    const maxH = this.params.trees.trunk.maxHeight;
+    const h = Math.round(minH + (maxH - minH) * rng.random());
+
+    // The trunk of the tree starts here
+    for (let treeY = y; treeY <= y + h; treeY++) {
+      if (biome === 'Temperate' || biome === 'Tundra') {
+        this.data.setBlockId(x, treeY, z, blocks.tree.id);
+      } else if (biome === 'Jungle') {
+        this.data.setBlockId(x, treeY, z, blocks.jungleTree.id);
+      } else if (biome === 'Desert') {
+        this.data.setBlockId(x, treeY, z, blocks.cactus.id);
+      }
+    }
+
+    if (biome === 'Temperate' || biome === 'Jungle') {
+      this.generateTreeCanopy(biome, x, y + h, z, rng);
+    }
+  }
+
+  generateTreeCanopy(biome, centerX, centerY, centerZ, rng) {
+    const minR = this.params.trees.canopy.minRadius;
+    const maxR = this.params.trees.canopy.maxRadius;
+    const r = Math.round(minR + (maxR - minR) * rng.random());
+
+    for (let x = -r; x <= r; x++) {
+      for (let y = -r; y <= r; y++) {
+        for (let z= -r; z <= r; z++) {
+          const n = rng.random()
+          if (x * x + y * y + z * z > r * r) continue;
+
+          const blockId = this.data.getBlockId(centerX+ x, centerY + y, centerZ + z);
+          if (blockId !== null && blockId !== blocks.empty.id) continue;
+          if (n < this.params.trees.canopy.density) {
+            if (biome === 'Temperate') {
+              this.data.setBlockId(centerX + x, centerY + y, centerZ + z, blocks.leaves.id);
+            } else if (biome === 'Jungle') {
+              this.data.setBlockId(centerX + x, centerY + y, centerZ + z, blocks.jungleLeaves.id);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates happy little clouds
+   */
+  generateClouds() {
+    const simplex = new SimplexNoise(new RNG(hash(this.seed, 'clouds')));
+    for (let x = 0; x < this.size.width; x++) {
+      for (let z = 0; z < this.size.width; z++) {
+        const value = (simplex.noise(
+          (this.position.x + x) / this.params.clouds.scale,
+          (this.position.z + z) / this.params.clouds.scale,
+        ) + 1) * 0.5;
+
+        if (value < this.params.clouds.density) {
+          this.data.setBlockId(x, this.params.clouds.height - this.position.y, z, blocks.cloud.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Applies the changes the player made to this chunk on top of the generated data
+   * @param {{ x: number, y: number, z: number, id: number }[]} changes
+   */
+  applyPlayerChanges(changes) {
+    for (const { x, y, z, id } of changes) {
+      this.data.setBlockId(x, y, z, id);
+    }
+  }
+}
@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+import { blocks, blockRegistry } from './blocks';
+import { atlas, blockFaceTiles } from './blockMaterials';
+import { DEFAULT_LIGHT, MAX_LIGHT } from './lighting';
+
+/**
+ * The six faces of a block, in the same order as the BoxGeometry material
+ * groups (right, left, top, bottom, front, back). 'axis' is the axis the face
+ * points along, 'u' and 'v' are the axes spanning the face.
+ */
+const faces = [
+  { axis: 0, dir: 1, u: 2, v: 1 },  // right
+  { axis: 0, dir: -1, u: 2, v: 1 }, // left
+  { axis: 1, dir: 1, u: 0, v: 2 },  // top
+  { axis: 1, dir: -1, u: 0, v: 2 }, // bottom
+  { axis: 2, dir: 1, u: 0, v: 1 },  // front
+  { axis: 2, dir: -1, u: 0, v: 1 }, // back
+];
+
+// Mask values hold the atlas tile, then the light in front of the face,
+// then the ambient occlusion of its corners and the fluid level in the low bits
+const LEVEL_BITS = 4;
+const LEVEL_MASK = (1 << LEVEL_BITS) - 1;
+const AO_BITS = 8;
+const AO_MASK = (1 << AO_BITS) - 1;
+const LIGHT_BITS = 8;
+const LIGHT_MASK = (1 << LIGHT_BITS) - 1;
+
+/**
+ * Brightness of a face corner with 0 to 3 free blocks around it
+ */
+const AO_BRIGHTNESS = [0.45, 0.65, 0.82, 1];
+
+// Corners of a face, as steps along (u, v), in the order addQuad emits them
+const CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+// Fluids aren't occluded, every corner has all 3 neighbours free
+const NO_OCCLUSION = 0xff;
+
+/**
+ * Builds the geometry for a chunk. Only faces that are next to a transparent
+ * block are emitted, and adjacent coplanar faces sharing a texture and light
+ * level are merged into larger quads (greedy meshing). Each vertex has a
+ * 'tileOffset' attribute with the position of its texture in the atlas, so
+ * the whole chunk can be drawn with blockMaterial, and a 'light' attribute
+ * with the sky and block light shining on the face.
+ *
+ * Face corners are darkened by the blocks around them (ambient occlusion),
+ * baked into the vertex colours. Quads are only merged when all of their
+ * corners match. Blocks in the neighbouring chunks are taken into account
+ * if those chunks are loaded.
+ *
+ * Solid blocks and fluids are drawn with different materials, so they are
+ * built separately: 'fluid' picks which of the two the geometry contains.
+ * The surface of a fluid sinks lower the further it has flowed.
+ * @param {import('./worldChunk').WorldChunk} chunk
+ * @param {boolean} fluid
+ * @returns {THREE.BufferGeometry}
+ */
+export function createChunkGeometry(chunk, fluid = false) {
+  const dims = [chunk.size.width, chunk.size.height, chunk.size.width];
+
+  const quads = { positions: [], normals: [], uvs: [], tileOffsets: [], lights: [], colors: [], indices: [] };
+
+  const pos = [0, 0, 0];
+
+  faces.forEach((face, faceIndex) => {
+    const { axis, dir, u, v } = face;
+    const mask = new Int32Array(dims[u] * dims[v]);
+
+    for (let slice = 0; slice < dims[axis]; slice++) {
+      // 1. Build a mask of the visible faces in this slice, storing the atlas
+      // tile of each face, the light in front of it, the occlusion of its
+      // corners and, for fluids, how far its surface is lowered
+      pos[axis] = slice;
+      for (let j = 0; j < dims[v]; j++) {
+        for (let i = 0; i < dims[u]; i++) {
+          pos[u] = i;
+          pos[v] = j;
+
+          const blockId = chunk.getBlockId(pos[0], pos[1], pos[2]);
+          let value = -1;
+
+          if (blockId !== blocks.empty.id && blockRegistry.isFluid(blockId) === fluid) {
+            pos[axis] += dir;
+            // Look into the neighbouring chunks, so there are no walls between the
+            // chunks of a lake and no hidden faces along the borders. Blocks that
+            // aren't loaded count as empty.
+            const neighborId = chunk.getNearbyBlockId(pos[0], pos[1], pos[2]) ?? blocks.empty.id;
+            // Faces are lit by the light in the block they face
+            const light = neighborId !== blockId ? chunk.getNearbyLight(pos[0], pos[1], pos[2]) : 0;
+            pos[axis] -= dir;
+
+            if (blockRegistry.isTransparent(neighborId) && neighborId !== blockId) {
+              const tile = blockFaceTiles[blockId][faceIndex];
+              const ao = fluid ? NO_OCCLUSION : getFaceOcclusion(chunk, face, pos);
+              value = ((tile << LIGHT_BITS | light) << AO_BITS | ao) << LEVEL_BITS;
+              if (fluid) {
+                value |= getSurfaceLevel(chunk, blockId, pos[0], pos[1], pos[2]);
+              }
+            }
+          }
+
+          mask[i + j * dims[u]] = value;
+        }
+      }
+
+      // 2. Merge the faces in the mask into rectangles
+      for (let j = 0; j < dims[v]; j++) {
+        for (let i = 0; i < dims[u];) {
+          const value = mask[i + j * dims[u]];
+          if (value === -1) {
+            i++;
+            continue;
+          }
+
+          // Grow the quad along u as far as possible...
+          let w = 1;
+          while (i + w < dims[u] && mask[i + w + j * dims[u]] === value) {
+            w++;
+          }
+
+          // ...then along v, as long as the whole row matches
+          let h = 1;
+          growV: while (j + h < dims[v]) {
+            for (let k = 0; k < w; k++) {
+              if (mask[i + k + (j + h) * dims[u]] !== value) break growV;
+            }
+            h++;
+          }
+
+          const drop = (value & LEVEL_MASK) / 9;
+          const ao = (value >> LEVEL_BITS) & AO_MASK;
+          const light = (value >> (LEVEL_BITS + AO_BITS)) & LIGHT_MASK;
+          const tile = value >> (LEVEL_BITS + AO_BITS + LIGHT_BITS);
+          addQuad(quads, face, tile, light, ao, slice, i, j, w, h, drop);
+
+          // Clear the faces covered by the quad so they aren't meshed again
+          for (let dv = 0; dv < h; dv++) {
+            mask.fill(-1, i + (j + dv) * dims[u], i + w + (j + dv) * dims[u]);
+          }
+
+          i += w;
+        }
+      }
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(quads.positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(quads.normals, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(quads.uvs, 2));
+  geometry.setAttribute('tileOffset', new THREE.Float32BufferAttribute(quads.tileOffsets, 2));
+  geometry.setAttribute('light', new THREE.Float32BufferAttribute(quads.lights, 2));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(quads.colors, 3));
+  geometry.setIndex(quads.indices);
+
+  return geometry;
+}
+
+/**
+ * Builds the geometry of a single block of type 'blockId', for drawing
+ * blocks outside of the chunks (e.g. falling blocks) with blockMaterial
+ * @param {number} blockId
+ * @returns {THREE.BufferGeometry}
+ */
+export function createBlockGeometry(blockId) {
+  const geometry = new THREE.BoxGeometry(1, 1, 1);
+
+  // BoxGeometry has 4 vertices per face, in the same face order as blockFaceTiles
+  const tileOffsets = [];
+  for (const tileIndex of blockFaceTiles[blockId]) {
+    const tileOffset = atlas.getTileOffset(tileIndex);
+    for (let i = 0; i < 4; i++) {
+      tileOffsets.push(...tileOffset);
+    }
+  }
+  geometry.setAttribute('tileOffset', new THREE.Float32BufferAttribute(tileOffsets, 2));
+
+  // Lit as if out in the open
+  const light = getLightAttribute(DEFAULT_LIGHT);
+  const lights = [];
+  for (let i = 0; i < geometry.attributes.position.count; i++) {
+    lights.push(...light);
+  }
+  geometry.setAttribute('light', new THREE.Float32BufferAttribute(lights, 2));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Array(lights.length / 2 * 3).fill(1), 3));
+
+  return geometry;
+}
+
+/**
+ * Adds a quad covering w x h block faces to 'quad'
+ * @param {{ positions: number[], normals: number[], uvs: number[], tileOffsets: number[], lights: number[], colors: number[], indices: number[] }} quad
+ * @param {{ axis: number, dir: number, u: number, v: number }} face
+ * @param {number} tileIndex Atlas tile of the quad's texture
+ * @param {number} light Light shining on the quad (see Lighting)
+ * @param {number} ao Ambient occlusion of the quad's corners (see getFaceOcclusion)
+ * @param {number} slice Position of the blocks along the face axis
+ * @param {number} i Position of the first block along the u axis
+ * @param {number} j Position of the first block along the v axis
+ * @param {number} w Width of the quad (along u)
+ * @param {number} h Height of the quad (along v)
+ * @param {number} drop How far the top of the quad is lowered (for fluid surfaces)
+ */
+function addQuad(quad, face, tileIndex, light, ao, slice, i, j, w, h, drop) {
+  const { axis, dir, u, v } = face;
+  const tileOffset = atlas.getTileOffset(tileIndex);
+  const lightLevels = getLightAttribute(light);
+
+  // Blocks are centered on their coordinates, so faces sit half a block away
+  const corners = [[0, 0], [w, 0], [w, h], [0, h]];
+  const vertexOffset = quad.positions.length / 3;
+
+  // Whether (u, v, normal) form a right handed basis. If not, the winding
+  // order and the texture have to be flipped so the face points outwards
+  const cyclic = (u + 1) % 3 === v;
+  const flip = (cyclic ? dir : -dir) < 0;
+
+  const occlusion = [];
+  corners.forEach(([du, dv], corner) => {
+    const p = [0, 0, 0];
+    p[axis] = slice + 0.5 * dir;
+    p[u] = i + du - 0.5;
+    p[v] = j + dv - 0.5;
+    // Lower the top face, or the top edge of a side face
+    if ((axis === 1 && dir === 1) || (v === 1 && dv === h)) {
+      p[1] -= drop;
+    }
+    quad.positions.push(...p);
+
+    const n = [0, 0, 0];
+    n[axis] = dir;
+    quad.normals.push(...n);
+
+    quad.uvs.push(flip ? w - du : du, dv);
+    quad.tileOffsets.push(...tileOffset);
+    quad.lights.push(...lightLevels);
+
+    occlusion[corner] = (ao >> (corner * 2)) & 3;
+    const brightness = AO_BRIGHTNESS[occlusion[corner]];
+    quad.colors.push(brightness, brightness, brightness);
+  });
+
+  // Split the quad along the diagonal whose corners are most alike, so the
+  // occlusion is interpolated evenly across it
+  const [a, b, c, d] = occlusion[0] + occlusion[2] < occlusion[1] + occlusion[3]
+    ? [1, 2, 3, 0].map((k) => vertexOffset + k)
+    : [0, 1, 2, 3].map((k) => vertexOffset + k);
+
+  if (flip) {
+    quad.indices.push(a, c, b);
+    quad.indices.push(a, d, c);
+  } else {
+    quad.indices.push(a, b, c);
+    quad.indices.push(a, c, d);
+  }
+}
+
+/**
+ * Works out how many of the three blocks around each corner of a face are
+ * free (0 - 3), looking at the blocks in front of the face. The four corners
+ * are packed into 2 bits each, in CORNERS order.
+ * @param {import('./worldChunk').WorldChunk} chunk
+ * @param {{ axis: number, dir: number, u: number, v: number }} face
+ * @param {number[]} pos Position of the block the face belongs to
+ * @returns {number}
+ */
+function getFaceOcclusion(chunk, face, pos) {
+  const { axis, dir, u, v } = face;
+  const p = [...pos];
+  p[axis] += dir;
+
+  const isOccluding = (du, dv) => {
+    p[u] += du;
+    p[v] += dv;
+    const blockId = chunk.getNearbyBlockId(p[0], p[1], p[2]);
+    p[u] -= du;
+    p[v] -= dv;
+    return blockId !== null && blockRegistry.blocksLight(blockId) ? 1 : 0;
+  };
+
+  let ao = 0;
+  CORNERS.forEach(([du, dv], corner) => {
+    const side1 = isOccluding(du, 0);
+    const side2 = isOccluding(0, dv);
+    // With both sides blocked the corner is hidden whatever is in it
+    const free = side1 && side2 ? 0 : 3 - side1 - side2 - isOccluding(du, dv);
+    ao |= free << (corner * 2);
+  });
+
+  return ao;
+}
+
+/**
+ * Unpacks a light value into the sky and block light levels, from 0 to 1
+ * @param {number} light
+ * @returns {number[]}
+ */
+function getLightAttribute(light) {
+  return [(light >> 4) / MAX_LIGHT, (light & MAX_LIGHT) / MAX_LIGHT];
+}
+
+/**
+ * Returns how many ninths of a block the surface of the fluid at (x, y, z)
+ * sits below the top of the block. Sources sit a little below the top,
+ * flowing fluid gets shallower with every level, and fluid with more of
+ * the same fluid above it fills the whole block.
+ * @param {import('./worldChunk').WorldChunk} chunk
+ * @param {number} blockId
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number}
+ */
+function getSurfaceLevel(chunk, blockId, x, y, z) {
+  if (chunk.getNearbyBlockId(x, y + 1, z) === blockId) {
+    return 0;
+  }
+  return chunk.getFluidLevel(x, y, z) + 1;
+}
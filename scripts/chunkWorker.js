@@ -0,0 +1,14 @@
+import { generateChunk } from './generation';
+
+/**
+ * Generates the voxel data for a chunk section off the main thread. The
+ * resulting block ids are sent back as a transferable buffer, or null if
+ * the section is empty.
+ */
+self.onmessage = (event) => {
+  const { jobId, size, params, resources, chunk, changes } = event.data;
+
+  const data = generateChunk(params, chunk.x, chunk.y, chunk.z, { size, resources, changes });
+
+  self.postMessage({ jobId, data }, data ? [data.buffer] : []);
+};
@@ -1,31 +1,240 @@
+// The extension lets the multiplayer server import this module in Node
+import { IndexedDBBackend } from './storage.js';
+
+/**
+ * Keeps track of the changes the player made to the world, grouped by chunk
+ * section. Sections are identified by their world position (chunkX, chunkY, chunkZ).
+ * Chunks are read from the storage backend lazily (see loadChunk) and any
+ * chunk that has been modified is written back by save().
+ */
 export class DataStore {
-  constructor() {
-    this.data = {};
+  /**
+   * Player changes for each chunk that has been loaded, keyed by chunk key.
+   * Each entry maps block keys to block ids.
+   * @type {Map<string, Map<string, number>>}
+   */
+  chunks = new Map();
+
+  /**
+   * Keys of the chunks with changes that haven't been saved yet
+   * @type {Set<string>}
+   */
+  dirtyChunks = new Set();
+
+  /**
+   * Chunks currently being read from the backend, keyed by chunk key
+   * @type {Map<string, Promise<void>>}
+   */
+  loading = new Map();
+
+  /**
+   * Incremented whenever the cache is thrown away, so reads that
+   * were started before that can be ignored
+   */
+  generation = 0;
+
+  /**
+   * Resolves once the last clear() has reached the backend. Reads and
+   * writes wait for it so they can't race the clear.
+   * @type {Promise<void>}
+   */
+  cleared = Promise.resolve();
+
+  /**
+   * @param {import('./storage').StorageBackend} backend
+   */
+  constructor(backend = new IndexedDBBackend()) {
+    this.backend = backend;
   }
 
+  /**
+   * Deletes all of the player changes, including the saved ones
+   * @returns {Promise<void>}
+   */
   clear() {
-    this.data = {};
+    this.reset();
+    this.cleared = this.cleared.then(() => this.backend.clear());
+    return this.cleared;
+  }
+
+  /**
+   * Throws away the cached changes so they are read from the backend again.
+   * Unsaved changes are lost.
+   */
+  reset() {
+    this.chunks.clear();
+    this.dirtyChunks.clear();
+    this.loading.clear();
+    this.generation++;
+  }
+
+  /**
+   * Makes sure the changes for the chunk section at (chunkX, chunkY, chunkZ)
+   * have been read from the backend
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {Promise<void>}
+   */
+  loadChunk(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    if (this.chunks.has(key)) return Promise.resolve();
+
+    if (!this.loading.has(key)) {
+      const generation = this.generation;
+      const load = this.cleared.then(() => this.backend.loadChunk(key));
+      this.loading.set(key, load.then((changes) => {
+        if (generation !== this.generation) return;
+        this.loading.delete(key);
+        if (!this.chunks.has(key)) {
+          this.chunks.set(key, new Map(Object.entries(changes ?? {})));
+        }
+      }, (error) => {
+        // Don't hold on to the failure, so the next call tries again
+        if (generation === this.generation) {
+          this.loading.delete(key);
+        }
+        throw error;
+      }));
+    }
+
+    return this.loading.get(key);
+  }
+
+  /**
+   * Writes all of the modified chunks to the backend
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Take a copy of the changes right away, the cache may be reset while we wait
+    const generation = this.generation;
+    const snapshot = [...this.dirtyChunks]
+      .filter((key) => this.chunks.has(key))
+      .map((key) => [key, Object.fromEntries(this.chunks.get(key))]);
+    this.dirtyChunks.clear();
+    await this.cleared;
+    // Thrown away (or deleted) while waiting, like any other unsaved changes
+    if (generation !== this.generation) return;
+
+    try {
+      await Promise.all(snapshot.map(([key, changes]) => this.backend.saveChunk(key, changes)));
+    } catch (error) {
+      // Try again on the next save, unless the changes have been thrown away since
+      if (generation === this.generation) {
+        snapshot.forEach(([key]) => this.dirtyChunks.add(key));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Saves any pending changes, then reads back the changes for every chunk
+   * in storage (including chunks that aren't loaded)
+   * @returns {Promise<{ chunkX: number, chunkY: number, chunkZ: number, changes: { x: number, y: number, z: number, id: number }[] }[]>}
+   */
+  async getSavedChunks() {
+    await this.save();
+    const keys = await this.backend.getChunkKeys();
+
+    return Promise.all(keys.map(async (key) => {
+      const [, chunkX, chunkY, chunkZ] = key.match(/^(-?\d+)-(-?\d+)-(-?\d+)$/).map(Number);
+      const changes = await this.backend.loadChunk(key);
+      return { chunkX, chunkY, chunkZ, changes: toChangeList(new Map(Object.entries(changes))) };
+    }));
+  }
+
+  /**
+   * Reads the metadata stored under 'name' (e.g. the world params)
+   * @param {string} name
+   * @returns {Promise<any>}
+   */
+  async loadMeta(name) {
+    await this.cleared;
+    return this.backend.loadMeta(name);
+  }
+
+  /**
+   * Stores 'value' under 'name' alongside the player changes
+   * @param {string} name
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async saveMeta(name, value) {
+    await this.cleared;
+    return this.backend.saveMeta(name, value);
+  }
+
+  /**
+   * Periodically saves the modified chunks in the background
+   * @param {number} interval Time between saves in milliseconds
+   */
+  startAutoSave(interval = 5000) {
+    clearInterval(this.autoSaveTimer);
+    this.autoSaveTimer = setInterval(() => {
+      if (this.dirtyChunks.size > 0) {
+        this.save().catch((error) => console.error('Failed to save world', error));
+      }
+    }, interval);
+  }
+
+  /**
+   * Stops the background saves started by startAutoSave()
+   */
+  stopAutoSave() {
+    clearInterval(this.autoSaveTimer);
+    this.autoSaveTimer = undefined;
+  }
+
+  contains(chunkX, chunkY, chunkZ, blockX, blockY, blockZ) {
+    const chunk = this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+    return chunk !== undefined && chunk.has(this.getBlockKey(blockX, blockY, blockZ));
+  }
+
+  get(chunkX, chunkY, chunkZ, blockX, blockY, blockZ) {
+    const chunk = this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+    return chunk?.get(this.getBlockKey(blockX, blockY, blockZ));
+  }
+
+  set(chunkX, chunkY, chunkZ, blockX, blockY, blockZ, blockId) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    if (!this.chunks.has(key)) {
+      this.chunks.set(key, new Map());
+    }
+    this.chunks.get(key).set(this.getBlockKey(blockX, blockY, blockZ), blockId);
+    this.dirtyChunks.add(key);
+  }
+
+  /**
+   * Returns all of the changes the player made to the chunk section at
+   * (chunkX, chunkY, chunkZ). The section must have been loaded with loadChunk() first.
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {{ x: number, y: number, z: number, id: number }[]}
+   */
+  getChunkChanges(chunkX, chunkY, chunkZ) {
+    return toChangeList(this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ)) ?? new Map());
   }
 
-  contains(chunkX, chunkZ, blockX, blockY, blockZ) {
-    const key = this.getKey(chunkX, chunkZ, blockX, blockY, blockZ);
-    return this.data[key] !== undefined;
+  getChunkKey(chunkX, chunkY, chunkZ) {
+    return `${chunkX}-${chunkY}-${chunkZ}`;
   }
 
-  get(chunkX, chunkZ, blockX, blockY, blockZ) {
-    const key = this.getKey(chunkX, chunkZ, blockX, blockY, blockZ);
-    const blockId = this.data[key];
-    // console.log(`retrieving value ${blockId} at key ${key} to ${blockId}`);
-    return blockId;
+  getBlockKey(blockX, blockY, blockZ) {
+    return `${blockX}-${blockY}-${blockZ}`;
   }
+}
 
-  set(chunkX, chunkZ, blockX, blockY, blockZ, blockId) {
-    const key = this.getKey(chunkX, chunkZ, blockX, blockY, blockZ);
-    this.data[key] = blockId;
-    // console.log(`setting key ${key} to ${blockId}`);
-  } 
-  
-  getKey(chunkX, chunkZ, blockX, blockY, blockZ) {
-    return `${chunkX}-${chunkZ}-${blockX}-${blockY}-${blockZ}`;
+/**
+ * Converts a map of block keys to block ids into a list of changes
+ * @param {Map<string, number>} chunk
+ * @returns {{ x: number, y: number, z: number, id: number }[]}
+ */
+function toChangeList(chunk) {
+  const changes = [];
+  for (const [blockKey, id] of chunk) {
+    const [x, y, z] = blockKey.split('-').map(Number);
+    changes.push({ x, y, z, id });
   }
-}
\ No newline at end of file
+  return changes;
+}
@@ -0,0 +1,211 @@
+/**
+ * Records the block edits made by the player so they can be undone and redone.
+ * Each step in the history is a list of edits; edits made inside group() are
+ * stored as a single step.
+ *
+ * Steps also keep track of the items the player got or used up with the
+ * edits, which are taken back or given back along with them. A step can't
+ * be undone once the items it gave are gone (e.g. used for crafting), or
+ * redone once the items it used up are.
+ *
+ * @typedef {{ x: number, y: number, z: number, previousId: number, blockId: number }} BlockEdit
+ * @typedef {{ blockId: number, count: number }} ItemChange Items the player got
+ * (positive count) or used up (negative count)
+ * @typedef {{ edits: BlockEdit[], items: ItemChange[] }} HistoryStep
+ */
+export class EditHistory {
+  /**
+   * Maximum number of steps that can be undone
+   */
+  maxSteps = 100;
+
+  /**
+   * @type {HistoryStep[]}
+   */
+  undoStack = [];
+
+  /**
+   * @type {HistoryStep[]}
+   */
+  redoStack = [];
+
+  /**
+   * The group currently being recorded, or null if there is none
+   * @type {HistoryStep | null}
+   */
+  currentGroup = null;
+
+  /**
+   * @param {(x: number, y: number, z: number, blockId: number) => void} applyEdit
+   * Sets a block in the world without recording it
+   * @param {() => import('./inventory').Inventory | null} getInventory Returns the
+   * inventory the recorded items go back to and come back from
+   */
+  constructor(applyEdit, getInventory = () => null) {
+    this.applyEdit = applyEdit;
+    this.getInventory = getInventory;
+  }
+
+  /**
+   * Records that the block at (x, y, z) changed from 'previousId' to 'blockId'
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} previousId
+   * @param {number} blockId
+   * @param {HistoryStep | null} [step] The step to add the edit to, defaults to the
+   * group being recorded. Edits outside of a group are a step of their own.
+   * @returns {HistoryStep} The step the edit was added to
+   */
+  record(x, y, z, previousId, blockId, step = this.currentGroup) {
+    const edit = { x, y, z, previousId, blockId };
+
+    if (step) {
+      step.edits.push(edit);
+    } else {
+      step = { edits: [edit], items: [] };
+      this.push(step);
+    }
+    return step;
+  }
+
+  /**
+   * Records that the player got 'count' items of type 'blockId' (or used
+   * them up, if 'count' is negative) with the edits of the current group
+   * @param {number} blockId
+   * @param {number} count
+   */
+  recordItems(blockId, count) {
+    if (count === 0) return;
+
+    const change = { blockId, count };
+    if (this.currentGroup) {
+      this.currentGroup.items.push(change);
+    } else {
+      this.push({ edits: [], items: [change] });
+    }
+  }
+
+  /**
+   * Runs 'operation', recording all of the edits it makes as a single step
+   * @param {() => void} operation
+   */
+  group(operation) {
+    // Nested groups are merged into the outermost one
+    if (this.currentGroup) {
+      operation();
+      return;
+    }
+
+    this.currentGroup = { edits: [], items: [] };
+    try {
+      operation();
+    } finally {
+      const step = this.currentGroup;
+      this.currentGroup = null;
+      if (step.edits.length > 0 || step.items.length > 0) {
+        this.push(step);
+      }
+    }
+  }
+
+  /**
+   * Reverts the most recent step
+   * @returns {boolean} False if there was nothing to undo, or the items the step gave are gone
+   */
+  undo() {
+    const step = this.undoStack.at(-1);
+    if (!step || !this.applyItems(step.items, -1)) return false;
+
+    this.undoStack.pop();
+    for (let i = step.edits.length - 1; i >= 0; i--) {
+      const { x, y, z, previousId } = step.edits[i];
+      this.applyEdit(x, y, z, previousId);
+    }
+    this.redoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Re-applies the most recently undone step
+   * @returns {boolean} False if there was nothing to redo, or the items the step used up are gone
+   */
+  redo() {
+    const step = this.redoStack.at(-1);
+    if (!step || !this.applyItems(step.items, 1)) return false;
+
+    this.redoStack.pop();
+    for (const { x, y, z, blockId } of step.edits) {
+      this.applyEdit(x, y, z, blockId);
+    }
+    this.undoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Takes back the items the player got with 'step' and gives back the ones
+   * they used up, as far as they still can be, e.g. when the multiplayer
+   * server rejected the edit. Undoing the step doesn't touch them after this.
+   * @param {HistoryStep} step
+   */
+  revertItems(step) {
+    const inventory = this.getInventory();
+    for (const { blockId, count } of step.items) {
+      if (count > 0) {
+        inventory?.take(blockId, count);
+      } else {
+        inventory?.add(blockId, -count);
+      }
+    }
+    step.items = [];
+  }
+
+  /**
+   * Adds the item changes to the inventory ('direction' 1) or takes them
+   * back out ('direction' -1). Nothing changes unless all of them can be made.
+   * @param {ItemChange[]} items
+   * @param {1 | -1} direction
+   * @returns {boolean} Whether the changes were made
+   */
+  applyItems(items, direction) {
+    const inventory = this.getInventory();
+    if (!inventory || items.length === 0) return true;
+
+    // Net change for each type of item
+    const totals = new Map();
+    for (const { blockId, count } of items) {
+      totals.set(blockId, (totals.get(blockId) ?? 0) + count * direction);
+    }
+
+    for (const [blockId, count] of totals) {
+      const possible = count > 0 ? inventory.space(blockId) >= count : inventory.count(blockId) >= -count;
+      if (!possible) return false;
+    }
+
+    for (const [blockId, count] of totals) {
+      if (count > 0) {
+        inventory.add(blockId, count);
+      } else if (count < 0) {
+        inventory.take(blockId, -count);
+      }
+    }
+    return true;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Adds a new step to the history. Any undone steps can't be redone after this.
+   * @param {HistoryStep} step
+   */
+  push(step) {
+    this.undoStack.push(step);
+    if (this.undoStack.length > this.maxSteps) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+}
@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import { Mob, mobTypes } from './mob';
+import { blocks, blockRegistry } from './blocks';
+
+/**
+ * Blocks mobs can spawn on
+ */
+const spawnBlocks = new Set([blocks.grass.id, blocks.dirt.id, blocks.snow.id]);
+
+/**
+ * The entities in the world other than the player. Mobs spawn on the
+ * surface of chunks as they load, depending on the biome, and despawn when
+ * the chunk they're in is unloaded.
+ */
+export class Entities extends THREE.Group {
+  /**
+   * @type {import('./entity').Entity[]}
+   */
+  entities = [];
+
+  /**
+   * @param {import('./world').World} world
+   */
+  constructor(world) {
+    super();
+    this.world = world;
+  }
+
+  /**
+   * The entities in loaded chunks. The ones in chunks that are still loading
+   * are frozen so they don't fall through the world.
+   * @type {import('./entity').Entity[]}
+   */
+  get active() {
+    return this.entities.filter((entity) => this.getChunk(entity)?.loaded);
+  }
+
+  /**
+   * Lets the active entities decide what to do next
+   * @param {number} dt
+   */
+  update(dt) {
+    for (const entity of this.active) {
+      entity.think(dt, this.world);
+    }
+  }
+
+  /**
+   * @param {import('./entity').Entity} entity
+   */
+  spawn(entity) {
+    this.entities.push(entity);
+    this.add(entity);
+  }
+
+  /**
+   * @param {import('./entity').Entity} entity
+   */
+  despawn(entity) {
+    this.entities = this.entities.filter((e) => e !== entity);
+    this.remove(entity);
+    entity.dispose();
+  }
+
+  /**
+   * Rolls for a mob to spawn in 'chunk' if the surface of the column is in it
+   * @param {import('./worldChunk').WorldChunk} chunk
+   */
+  chunkLoaded(chunk) {
+    if (!chunk.data) return;
+
+    // One spot per section. The surface is only in one section of the
+    // column, so this works out to one roll per column.
+    const x = Math.floor(Math.random() * chunk.size.width);
+    const z = Math.floor(Math.random() * chunk.size.width);
+    const y = this.findSurface(chunk, x, z);
+    if (y === null) return;
+
+    const biome = chunk.getBiome(x, z);
+    for (const [type, { biomes }] of Object.entries(mobTypes)) {
+      if (Math.random() >= (biomes[biome] ?? 0)) continue;
+
+      const mob = new Mob(type);
+      mob.position.set(
+        chunk.position.x + x,
+        chunk.position.y + y + 0.5 + mob.height,
+        chunk.position.z + z
+      );
+      mob.rotation.y = Math.random() * Math.PI * 2;
+      this.spawn(mob);
+      break;
+    }
+  }
+
+  /**
+   * Despawns the entities inside 'chunk'
+   * @param {import('./worldChunk').WorldChunk} chunk
+   */
+  chunkUnloaded(chunk) {
+    for (const entity of this.entities) {
+      if (this.getChunk(entity) === chunk) {
+        this.despawn(entity);
+      }
+    }
+  }
+
+  /**
+   * Despawns every entity
+   */
+  reset() {
+    for (const entity of this.entities) {
+      this.despawn(entity);
+    }
+  }
+
+  /**
+   * Returns the height of the highest solid block in the column (x, z) of
+   * 'chunk' if mobs can spawn on it, or null if they can't or the column's
+   * surface isn't in this chunk
+   * @param {import('./worldChunk').WorldChunk} chunk
+   * @param {number} x
+   * @param {number} z
+   * @returns {number | null}
+   */
+  findSurface(chunk, x, z) {
+    const isFree = (y) => {
+      // Blocks above the section are checked in the world, if it's loaded
+      const id = y < chunk.size.height
+        ? chunk.getBlockId(x, y, z)
+        : this.world.getBlockId(chunk.position.x + x, chunk.position.y + y, chunk.position.z + z);
+      return !blockRegistry.isSolid(id) && !blockRegistry.isFluid(id);
+    };
+
+    for (let y = chunk.size.height - 1; y >= 0; y--) {
+      const id = chunk.getBlockId(x, y, z);
+      if (!blockRegistry.isSolid(id)) continue;
+      return spawnBlocks.has(id) && isFree(y + 1) && isFree(y + 2) ? y : null;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the chunk 'entity' is in
+   * @param {import('./entity').Entity} entity
+   * @returns {import('./worldChunk').WorldChunk | undefined}
+   */
+  getChunk(entity) {
+    const { chunk } = this.world.worldToChunkCoords(
+      entity.position.x,
+      entity.position.y - entity.height / 2,
+      entity.position.z
+    );
+    return this.world.getChunk(chunk.x, chunk.y, chunk.z);
+  }
+}
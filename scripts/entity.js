@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+/**
+ * Something that moves around the world and collides with it. The physics
+ * treats every entity as a cylinder 'radius' wide and 'height' tall that
+ * hangs down from 'position', the same as the player (whose position is
+ * their eyes).
+ *
+ * Entities steer by setting 'input', the horizontal velocity they want to
+ * move at. The physics applies it along with gravity and collisions.
+ */
+export class Entity extends THREE.Group {
+  radius = 0.5;
+  height = 1;
+  onGround = false;
+  inWater = false;
+
+  /**
+   * Horizontal velocity the entity wants to move at, in world space
+   */
+  input = new THREE.Vector3();
+
+  /**
+   * Velocity in world space
+   */
+  velocity = new THREE.Vector3();
+
+  /**
+   * Velocity in world space. The player's velocity is relative to where
+   * they're looking, other entities don't need to convert it.
+   * @type {THREE.Vector3}
+   */
+  get worldVelocity() {
+    return this.velocity;
+  }
+
+  /**
+   * Adds 'dv' to the velocity
+   * @param {THREE.Vector3} dv Change in velocity, in world space
+   */
+  applyWorldDeltaVelocity(dv) {
+    this.velocity.add(dv);
+  }
+
+  /**
+   * Moves the entity forward by 'dt' seconds
+   * @param {number} dt
+   * @param {number} speedFactor Slows the entity down, e.g. in fluids
+   */
+  applyInputs(dt, speedFactor = 1) {
+    this.velocity.x = this.input.x * speedFactor;
+    this.velocity.z = this.input.z * speedFactor;
+    this.position.addScaledVector(this.velocity, dt);
+  }
+
+  updateBoundsHelper() {}
+
+  /**
+   * Decides what to do next. Called once a frame.
+   * @param {number} dt
+   * @param {import('./world').World} world
+   */
+  think(dt, world) {}
+
+  /**
+   * Frees the entity's geometry and materials
+   */
+  dispose() {
+    this.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  }
+}
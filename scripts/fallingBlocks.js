@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+import { blocks, blockRegistry } from './blocks';
+import { blockMaterial } from './blockMaterials';
+import { createBlockGeometry } from './chunkMesher';
+
+/**
+ * Blocks affected by gravity (sand, gravel) that have lost their support.
+ * They are taken out of the world and fall as separate meshes, pulled down
+ * by the Physics gravity, until they land and are placed back as blocks.
+ *
+ * Both moves are added to the edit history step of the edit that knocked
+ * the block loose, so undoing the edit puts the block back where it was.
+ */
+export class FallingBlocks extends THREE.Group {
+  /**
+   * 'step' is the history step the block's moves are recorded in, or null
+   * if they aren't recorded
+   * @type {{ mesh: THREE.Mesh, blockId: number, velocity: number, step: import('./editHistory').HistoryStep | null }[]}
+   */
+  entities = [];
+
+  /**
+   * Blocks changed during batch(), checked once it's done. Null outside of batch().
+   * @type {number[][] | null}
+   */
+  pending = null;
+
+  /**
+   * One geometry per block type, shared by all of its falling blocks
+   * @type {Map<number, THREE.BufferGeometry>}
+   */
+  geometries = new Map();
+
+  /**
+   * @param {import('./world').World} world
+   */
+  constructor(world) {
+    super();
+    this.world = world;
+  }
+
+  /**
+   * Checks whether the block at (x, y, z), or the one resting on it, has
+   * to fall after the block at (x, y, z) changed
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  blockChanged(x, y, z) {
+    if (this.pending) {
+      this.pending.push([x, y, z]);
+      return;
+    }
+    this.dropIfUnsupported(x, y, z);
+    this.dropIfUnsupported(x, y + 1, z);
+  }
+
+  /**
+   * Runs 'operation', only checking the blocks it changes once it's done.
+   * Used when undoing edits, so blocks don't fall before the blocks under
+   * them are put back.
+   * @param {() => void} operation
+   */
+  batch(operation) {
+    if (this.pending) {
+      operation();
+      return;
+    }
+
+    this.pending = [];
+    try {
+      operation();
+    } finally {
+      const pending = this.pending;
+      this.pending = null;
+      for (const [x, y, z] of pending) {
+        this.blockChanged(x, y, z);
+      }
+    }
+  }
+
+  /**
+   * Turns the block at (x, y, z) into a falling block if it is affected by
+   * gravity and there is nothing below it. Removing it lets the block above
+   * drop too, so whole columns fall together.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  dropIfUnsupported(x, y, z) {
+    const blockId = this.world.getBlockId(x, y, z);
+    if (!blockRegistry.hasGravity(blockId)) return;
+    if (!this.canFallInto(this.world.getBlockId(x, y - 1, z))) return;
+
+    const mesh = new THREE.Mesh(this.getGeometry(blockId), blockMaterial);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    this.add(mesh);
+
+    const step = this.world.history.currentGroup;
+    this.entities.push({ mesh, blockId, velocity: 0, step });
+    this.world.setBlockCausedBy(x, y, z, blocks.empty.id, step);
+  }
+
+  /**
+   * Moves the falling blocks forward in time by 'dt', placing the ones that
+   * landed back into the world
+   * @param {number} dt
+   * @param {number} gravity
+   */
+  update(dt, gravity) {
+    const landed = [];
+
+    for (const entity of this.entities) {
+      const { mesh } = entity;
+      entity.velocity -= gravity * dt;
+      const y = mesh.position.y + entity.velocity * dt;
+
+      // Land on top of the first block the falling block reaches
+      const cellY = Math.ceil(y);
+      if (!this.canFallInto(this.world.getBlockId(mesh.position.x, cellY - 1, mesh.position.z))) {
+        mesh.position.y = cellY;
+        landed.push(entity);
+      } else {
+        mesh.position.y = y;
+      }
+    }
+
+    for (const entity of landed) {
+      this.entities.splice(this.entities.indexOf(entity), 1);
+      this.remove(entity.mesh);
+      this.land(entity);
+    }
+  }
+
+  /**
+   * Places a falling block back in the world, at the first free block at or
+   * above where it landed
+   * @param {{ mesh: THREE.Mesh, blockId: number, step: import('./editHistory').HistoryStep | null }} entity
+   */
+  land({ mesh, blockId, step }) {
+    const { x, z } = mesh.position;
+    let y = mesh.position.y;
+    while (y < this.world.worldHeight && !this.canFallInto(this.world.getBlockId(x, y, z))) {
+      y++;
+    }
+    this.world.setBlockCausedBy(x, y, z, blockId, step);
+  }
+
+  /**
+   * Lands all of the falling blocks straight away, where they would have
+   * landed anyway
+   */
+  settle() {
+    for (const { mesh } of this.entities) {
+      const { x, z } = mesh.position;
+      let y = Math.ceil(mesh.position.y);
+      while (this.canFallInto(this.world.getBlockId(x, y - 1, z))) {
+        y--;
+      }
+      mesh.position.y = y;
+    }
+    // Nothing moves, but every block is now resting on something
+    this.update(0, 0);
+  }
+
+  /**
+   * Falling blocks pass through empty blocks and fluids. Blocks in chunks that
+   * aren't loaded count as solid, so nothing falls out of the world.
+   * @param {number | null} blockId
+   * @returns {boolean}
+   */
+  canFallInto(blockId) {
+    return blockId === blocks.empty.id || blockRegistry.isFluid(blockId);
+  }
+
+  /**
+   * @param {number} blockId
+   * @returns {THREE.BufferGeometry}
+   */
+  getGeometry(blockId) {
+    if (!this.geometries.has(blockId)) {
+      this.geometries.set(blockId, createBlockGeometry(blockId));
+    }
+    return this.geometries.get(blockId);
+  }
+
+  /**
+   * Removes all of the falling blocks without placing them
+   */
+  reset() {
+    this.entities = [];
+    this.clear();
+  }
+}
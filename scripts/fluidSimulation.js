@@ -0,0 +1,246 @@
+import { blocks, blockRegistry } from './blocks';
+
+const SIDES = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+const NEIGHBORS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1]
+];
+
+/**
+ * Spreads water through the world, a few blocks per simulation tick.
+ *
+ * Every water block has a flow level, stored in its chunk. Generated water
+ * is made of sources (level 0). Water spreading sideways gets one level
+ * weaker per block until it runs out at maxLevel, and water falling down
+ * starts over at level 1. Each tick, the scheduled blocks work out their
+ * level from their neighbours, so water also drains away once its source
+ * is blocked off.
+ *
+ * Only the sources are part of the world data. Flowing water isn't saved,
+ * it flows out again when the chunks around it are loaded.
+ */
+export class FluidSimulation {
+  /**
+   * Time between simulation ticks in seconds
+   */
+  tickInterval = 0.25;
+
+  /**
+   * The weakest level flowing water can have before it stops spreading
+   */
+  maxLevel = 7;
+
+  /**
+   * Limits the work done in a single tick. Anything left over is carried
+   * over to the next tick.
+   */
+  maxUpdatesPerTick = 2048;
+
+  /**
+   * Blocks to update on the next tick, keyed by 'x,y,z'
+   * @type {Map<string, { x: number, y: number, z: number }>}
+   */
+  scheduled = new Map();
+
+  timer = 0;
+
+  /**
+   * @param {import('./world').World} world
+   */
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Forgets all of the scheduled updates, e.g. when the world is regenerated
+   */
+  clear() {
+    this.scheduled.clear();
+    this.timer = 0;
+  }
+
+  /**
+   * Advances the simulation by 'dt' seconds
+   * @param {number} dt
+   */
+  update(dt) {
+    this.timer += dt;
+    if (this.timer < this.tickInterval) return;
+    this.timer %= this.tickInterval;
+
+    this.tick();
+  }
+
+  /**
+   * Updates the scheduled blocks, then rebuilds the chunks that changed
+   */
+  tick() {
+    const updates = [...this.scheduled.values()].slice(0, this.maxUpdatesPerTick);
+    for (const { x, y, z } of updates) {
+      this.scheduled.delete(`${x},${y},${z}`);
+    }
+
+    for (const { x, y, z } of updates) {
+      this.updateBlock(x, y, z);
+    }
+
+    this.world.lighting.updateChangedChunks();
+  }
+
+  /**
+   * Schedules an update for the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  schedule(x, y, z) {
+    this.scheduled.set(`${x},${y},${z}`, { x, y, z });
+  }
+
+  /**
+   * Lets the water around (x, y, z) react to the block there changing
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  blockChanged(x, y, z) {
+    this.schedule(x, y, z);
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      this.schedule(x + dx, y + dy, z + dz);
+    }
+  }
+
+  /**
+   * Schedules the empty blocks next to water in a chunk that just loaded,
+   * including the ones bordering water in the chunks around it, so water
+   * flows back into holes that were dug before the chunk was unloaded
+   * @param {import('./worldChunk').WorldChunk} chunk
+   */
+  chunkLoaded(chunk) {
+    const { width, height } = chunk.size;
+    const { x: chunkX, y: chunkY, z: chunkZ } = chunk.position;
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        for (let z = 0; z < width; z++) {
+          const onBorder = x === 0 || y === 0 || z === 0 ||
+            x === width - 1 || y === height - 1 || z === width - 1;
+
+          // Empty sections can only have water flowing in from the chunks around them
+          if (!chunk.data && !onBorder) continue;
+
+          const blockId = chunk.getBlockId(x, y, z);
+          if (blockId !== blocks.empty.id || !this.isFed(chunk, x, y, z)) continue;
+
+          this.schedule(chunkX + x, chunkY + y, chunkZ + z);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns true if there is a fluid above or beside the block at (x, y, z)
+   * @param {import('./worldChunk').WorldChunk} chunk
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isFed(chunk, x, y, z) {
+    if (blockRegistry.isFluid(chunk.getNearbyBlockId(x, y + 1, z))) return true;
+    return SIDES.some(([dx, dz]) => blockRegistry.isFluid(chunk.getNearbyBlockId(x + dx, y, z + dz)));
+  }
+
+  /**
+   * Works out the level of the water at (x, y, z) from its neighbours and
+   * updates the block if it changed
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  updateBlock(x, y, z) {
+    const blockId = this.world.getBlockId(x, y, z);
+    const isWater = blockId === blocks.water.id;
+    if (!isWater && blockId !== blocks.empty.id) return;
+
+    const level = isWater ? this.getLevel(x, y, z) : null;
+    // Sources never change on their own
+    if (level === 0) return;
+
+    const newLevel = this.getFedLevel(x, y, z);
+    if (newLevel === level) return;
+
+    const coords = this.world.worldToChunkCoords(x, y, z);
+    const chunk = this.world.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+    const { x: bx, y: by, z: bz } = coords.block;
+
+    if (newLevel === null) {
+      chunk.setBlockId(bx, by, bz, blocks.empty.id);
+    } else {
+      chunk.setBlockId(bx, by, bz, blocks.water.id);
+      chunk.setFluidLevel(bx, by, bz, newLevel);
+    }
+
+    // Otherwise this goes the same way as any other change (relighting,
+    // scheduling the water around it), except flowing water isn't saved or
+    // added to the edit history
+    this.world.blockChanged(x, y, z);
+  }
+
+  /**
+   * Returns the level water flowing into (x, y, z) would have, or null if
+   * no water reaches it
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getFedLevel(x, y, z) {
+    // Falling water
+    if (this.world.getBlockId(x, y + 1, z) === blocks.water.id) {
+      return 1;
+    }
+
+    let level = null;
+    for (const [dx, dz] of SIDES) {
+      if (this.world.getBlockId(x + dx, y, z + dz) !== blocks.water.id) continue;
+
+      const neighborLevel = this.getLevel(x + dx, y, z + dz);
+      // Flowing water only spreads sideways once it has landed on something
+      if (neighborLevel !== 0 && !this.isResting(x + dx, y, z + dz)) continue;
+
+      if (neighborLevel < this.maxLevel && (level === null || neighborLevel + 1 < level)) {
+        level = neighborLevel + 1;
+      }
+    }
+
+    return level;
+  }
+
+  /**
+   * Returns true if the block below (x, y, z) is neither empty nor a fluid
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isResting(x, y, z) {
+    const belowId = this.world.getBlockId(x, y - 1, z);
+    return belowId !== null && belowId !== blocks.empty.id && !blockRegistry.isFluid(belowId);
+  }
+
+  /**
+   * Returns the level of the water at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number}
+   */
+  getLevel(x, y, z) {
+    const coords = this.world.worldToChunkCoords(x, y, z);
+    const chunk = this.world.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+    return chunk.getFluidLevel(coords.block.x, coords.block.y, coords.block.z);
+  }
+}
@@ -0,0 +1,170 @@
+import { ChunkGenerator } from './chunkGenerator.js';
+import { getResourceSettings } from './blocks.js';
+import { isValidSeed } from './rng.js';
+
+/**
+ * The world generation core: seed + params + chunk coords in, block ids
+ * out. Nothing in here (or in the modules it imports) touches the DOM or
+ * three.js rendering, so the same generator runs in the browser, in the
+ * chunk workers and in Node, e.g.
+ *
+ *   import { createWorldParams, generateChunk } from './scripts/generation.js';
+ *
+ *   const params = createWorldParams('hello world');
+ *   const ids = generateChunk(params, 0, 1, 0);
+ */
+
+/**
+ * Size of each chunk section. Chunk columns are split into sections
+ * stacked on top of each other, keyed by (x, y, z).
+ */
+export const CHUNK_SIZE = Object.freeze({
+  width: 24,
+  height: 32
+});
+
+/**
+ * Height of the world in blocks. Must be a multiple of CHUNK_SIZE.height.
+ */
+export const WORLD_HEIGHT = 256;
+
+/**
+ * Version of the world generator, saved with the world params. Only the
+ * changes listed here keep their old behaviour for params with an older
+ * version, anything else still changes the terrain of existing worlds.
+ * In particular the tree RNG, caves, topsoil and bedrock were added
+ * without a version and show up in version 1 worlds too.
+ *
+ *   1. The original generator
+ *   2. Biome variation noise in world coordinates (see getBiome)
+ */
+export const GENERATOR_VERSION = 2;
+
+/**
+ * Returns a fresh copy of the default world generation parameters
+ * @param {number | string} seed Any string works, see hashSeed
+ * @returns {object}
+ */
+export function createWorldParams(seed = 0) {
+  return {
+    seed,
+    version: GENERATOR_VERSION,
+    terrain: {
+      scale: 80,
+      magnitude: 24,
+      offset: 48,
+      waterOffset: 44
+    },
+    biomes: {
+      scale: 200,
+      variation: {
+        amplitude: 0.2,
+        scale: 50
+      },
+      tundraToTemperate: 0.25,
+      temperateToJungle: 0.5,
+      jungleToDesert: 0.75,
+    },
+    // How many blocks of dirt (sand in deserts) there are below the surface before the stone starts
+    topsoil: {
+      Tundra: 2,
+      Temperate: 4,
+      Jungle: 5,
+      Desert: 3
+    },
+    trees: {
+      trunk: {
+        minHeight: 4,
+        maxHeight: 7
+      },
+      canopy: {
+        minRadius: 2,
+        maxRadius: 4,
+        density: 0.5
+      },
+      frequency: 0.01
+    },
+    caves: {
+      tunnelScale: 40,
+      tunnelSize: 0.1,
+      verticalScale: 0.6,
+      cavernScale: 60,
+      cavernThreshold: 0.6,
+      surfaceDepth: 5,
+      minHeight: 1,
+      wallThickness: 0.5,
+      oreBonus: 0.15,
+      ravines: {
+        scale: 150,
+        width: 0.05,
+        depth: 30,
+        frequency: 0.3
+      }
+    },
+    clouds: {
+      scale: 30,
+      density: 0.5,
+      height: 96
+    }
+  };
+}
+
+/**
+ * Copies the values in 'source' into the matching (nested) objects in
+ * 'target', so anything holding on to those objects (e.g. the GUI) sees
+ * the new values. Keys that 'target' doesn't have are ignored.
+ * @param {object} target
+ * @param {object} source
+ */
+export function copyParams(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    // Skip anything that doesn't match the current params, e.g. from an older save.
+    // Seeds can be numbers or strings.
+    const matches = key === 'seed' ? isValidSeed(value) : typeof value === typeof target[key];
+    if (!matches) continue;
+
+    if (value !== null && typeof value === 'object') {
+      copyParams(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Copies saved params (see copyParams) into 'target'. Params saved before
+ * the generator had versions are from version 1.
+ * @param {object} target
+ * @param {object} saved
+ */
+export function loadParams(target, saved) {
+  copyParams(target, { version: 1, ...saved });
+}
+
+/**
+ * Generates the chunk section at the chunk coords (chunkX, chunkY, chunkZ)
+ * @param {object} params World generation parameters (see createWorldParams)
+ * @param {number} chunkX
+ * @param {number} chunkY
+ * @param {number} chunkZ
+ * @param {object} [options]
+ * @param {{ width: number, height: number }} [options.size] Size of the chunk section
+ * @param {({ id: number } & import('./blockRegistry.js').ResourceSettings)[]} [options.resources]
+ * Resource settings, defaults to the ones in blocks.json
+ * @param {{ x: number, y: number, z: number, id: number }[]} [options.changes] Player changes to apply on top
+ * @returns {Uint16Array | null} The block ids (see ChunkData for the layout),
+ * or null if the section is completely empty
+ */
+export function generateChunk(params, chunkX, chunkY, chunkZ, {
+  size = CHUNK_SIZE,
+  resources = getResourceSettings(),
+  changes = []
+} = {}) {
+  const position = {
+    x: chunkX * size.width,
+    y: chunkY * size.height,
+    z: chunkZ * size.width
+  };
+  const generator = new ChunkGenerator(size, params, resources, position);
+  return generator.generate(changes);
+}
@@ -0,0 +1,236 @@
+import { blockRegistry } from './blocks';
+
+/**
+ * A stack of items of the same block type
+ * @typedef {{ blockId: number, count: number }} ItemStack
+ */
+
+/**
+ * The items the player is carrying. The first hotbarSize slots are the
+ * hotbar, the rest are only shown on the inventory screen. Each slot holds
+ * a stack of up to the block's maxStack items.
+ *
+ * This module is DOM free, the UI listens for changes through onChange().
+ */
+export class Inventory {
+  /**
+   * Number of slots shown in the hotbar
+   */
+  hotbarSize = 9;
+
+  /**
+   * @type {(ItemStack | null)[]}
+   */
+  slots;
+
+  /**
+   * @type {(() => void)[]}
+   */
+  listeners = [];
+
+  /**
+   * @param {number} size Number of slots, including the hotbar
+   */
+  constructor(size = 36) {
+    this.slots = new Array(size).fill(null);
+  }
+
+  /**
+   * Returns the stack in 'slot', or null if the slot is empty
+   * @param {number} slot
+   * @returns {ItemStack | null}
+   */
+  getStack(slot) {
+    return this.slots[slot] ?? null;
+  }
+
+  /**
+   * Adds 'count' items of type 'blockId', topping up the existing stacks
+   * before starting new ones
+   * @param {number} blockId
+   * @param {number} count
+   * @returns {number} The number of items that didn't fit
+   */
+  add(blockId, count = 1) {
+    const maxStack = blockRegistry.getMaxStack(blockId);
+
+    for (const stack of this.slots) {
+      if (count === 0) break;
+      if (stack?.blockId !== blockId) continue;
+
+      const added = Math.min(count, maxStack - stack.count);
+      stack.count += added;
+      count -= added;
+    }
+
+    for (let slot = 0; slot < this.slots.length && count > 0; slot++) {
+      if (this.slots[slot]) continue;
+
+      const added = Math.min(count, maxStack);
+      this.slots[slot] = { blockId, count: added };
+      count -= added;
+    }
+
+    this.changed();
+    return count;
+  }
+
+  /**
+   * Takes up to 'count' items out of 'slot'
+   * @param {number} slot
+   * @param {number} count
+   * @returns {number} The number of items taken
+   */
+  remove(slot, count = 1) {
+    const stack = this.slots[slot];
+    if (!stack) return 0;
+
+    const removed = Math.min(count, stack.count);
+    stack.count -= removed;
+    if (stack.count === 0) {
+      this.slots[slot] = null;
+    }
+
+    this.changed();
+    return removed;
+  }
+
+  /**
+   * Takes up to 'count' items of type 'blockId' out of whichever slots hold
+   * them, starting from the last one
+   * @param {number} blockId
+   * @param {number} count
+   * @returns {number} The number of items taken
+   */
+  take(blockId, count = 1) {
+    let taken = 0;
+
+    for (let slot = this.slots.length - 1; slot >= 0 && taken < count; slot--) {
+      const stack = this.slots[slot];
+      if (stack?.blockId !== blockId) continue;
+
+      const removed = Math.min(count - taken, stack.count);
+      stack.count -= removed;
+      taken += removed;
+      if (stack.count === 0) {
+        this.slots[slot] = null;
+      }
+    }
+
+    this.changed();
+    return taken;
+  }
+
+  /**
+   * Moves the stack in slot 'from' onto slot 'to'. Stacks of the same type
+   * are merged as far as they fit, different ones swap places.
+   * @param {number} from
+   * @param {number} to
+   */
+  move(from, to) {
+    this.transfer(from, this, to);
+  }
+
+  /**
+   * Moves the stack in slot 'from' onto slot 'to' of another inventory
+   * (e.g. the crafting grid), merging or swapping like move()
+   * @param {number} from
+   * @param {Inventory} target
+   * @param {number} to
+   */
+  transfer(from, target, to) {
+    const source = this.slots[from];
+    const existing = target.slots[to];
+    if (!source || (target === this && from === to)) return;
+
+    if (existing?.blockId === source.blockId) {
+      const moved = Math.min(source.count, blockRegistry.getMaxStack(existing.blockId) - existing.count);
+      existing.count += moved;
+      source.count -= moved;
+      if (source.count === 0) {
+        this.slots[from] = null;
+      }
+    } else {
+      this.slots[from] = existing;
+      target.slots[to] = source;
+    }
+
+    this.changed();
+    if (target !== this) {
+      target.changed();
+    }
+  }
+
+  /**
+   * Returns how many more items of type 'blockId' fit in the inventory
+   * @param {number} blockId
+   * @returns {number}
+   */
+  space(blockId) {
+    const maxStack = blockRegistry.getMaxStack(blockId);
+    return this.slots.reduce((total, stack) => {
+      if (!stack) return total + maxStack;
+      if (stack.blockId === blockId) return total + maxStack - stack.count;
+      return total;
+    }, 0);
+  }
+
+  /**
+   * Returns the total number of items of type 'blockId'
+   * @param {number} blockId
+   * @returns {number}
+   */
+  count(blockId) {
+    return this.slots.reduce((total, stack) => total + (stack?.blockId === blockId ? stack.count : 0), 0);
+  }
+
+  /**
+   * Empties every slot
+   */
+  clear() {
+    this.slots.fill(null);
+    this.changed();
+  }
+
+  /**
+   * Returns the slots in a form that can be saved
+   * @returns {(ItemStack | null)[]}
+   */
+  toJSON() {
+    return this.slots.map((stack) => stack && { ...stack });
+  }
+
+  /**
+   * Restores the slots saved by toJSON(). Stacks of unknown blocks or with
+   * invalid counts are dropped.
+   * @param {(ItemStack | null)[]} saved
+   */
+  load(saved) {
+    this.slots.fill(null);
+
+    if (Array.isArray(saved)) {
+      saved.slice(0, this.slots.length).forEach((stack, slot) => {
+        if (!stack || !blockRegistry.has(stack.blockId)) return;
+
+        const count = Math.min(stack.count, blockRegistry.getMaxStack(stack.blockId));
+        if (Number.isInteger(count) && count > 0) {
+          this.slots[slot] = { blockId: stack.blockId, count };
+        }
+      });
+    }
+
+    this.changed();
+  }
+
+  /**
+   * Calls 'listener' whenever the contents of the inventory change
+   * @param {() => void} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  changed() {
+    this.listeners.forEach((listener) => listener());
+  }
+}
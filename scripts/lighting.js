@@ -0,0 +1,467 @@
+import { blockRegistry } from './blocks';
+
+/**
+ * Brightest light level, for both sky light and block light
+ */
+export const MAX_LIGHT = 15;
+
+/**
+ * Light of blocks that haven't been lit yet, e.g. in empty sections: full
+ * sky light and no block light
+ */
+export const DEFAULT_LIGHT = MAX_LIGHT << 4;
+
+const NEIGHBORS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1]
+];
+
+/**
+ * The two kinds of light, packed into one byte per block. Sky light takes
+ * the high four bits and block light the low four bits.
+ */
+const SKY = { shift: 4, sky: true };
+const BLOCK = { shift: 0, sky: false };
+
+/**
+ * Flood fills light levels through the chunk data.
+ *
+ * Sky light shines straight down from the top of the world at full
+ * strength until it hits a block that blocks light, and spreads sideways
+ * from there. Block light spreads out from blocks that give off light, like
+ * torches. Either way, light gets one level weaker with every block it
+ * passes through.
+ *
+ * Sections above the loaded ones are taken to be open sky. When a section
+ * loads, its light is exchanged with the sections around it, and block
+ * changes only relight the blocks they affect.
+ */
+export class Lighting {
+  /**
+   * Chunks whose blocks or light changed and need new meshes
+   * @type {Set<import('./worldChunk').WorldChunk>}
+   */
+  changedChunks = new Set();
+
+  /**
+   * The chunk found by the last block lookup. Most lookups are close to the
+   * previous one, so this saves going through the world's chunk map.
+   * @type {import('./worldChunk').WorldChunk | null}
+   */
+  lastChunk = null;
+
+  /**
+   * @param {import('./world').World} world
+   */
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Lights a chunk that just loaded and lets its light flow into the chunks
+   * around it (and theirs into it), then rebuilds the chunks around it. The
+   * chunk's own mesh isn't rebuilt, it is expected to be built right after this.
+   * @param {import('./worldChunk').WorldChunk} chunk
+   */
+  chunkLoaded(chunk) {
+    this.lastChunk = null;
+    const { width, height } = chunk.size;
+    const { x: cx, y: cy, z: cz } = chunk.userData;
+    const above = this.getLoadedChunk(cx, cy + 1, cz);
+
+    const skyQueue = [];
+    const blockQueue = [];
+    const removals = [];
+
+    // Sky light coming in from the top of the section
+    const topLevels = new Uint8Array(width * width);
+    for (let x = 0; x < width; x++) {
+      for (let z = 0; z < width; z++) {
+        const level = above ? above.getLight(x, 0, z) >> SKY.shift : MAX_LIGHT;
+        topLevels[x + z * width] = level === MAX_LIGHT ? MAX_LIGHT : 0;
+      }
+    }
+
+    // Empty sections under open sky keep the default light, so they don't need data
+    if (chunk.data || topLevels.some((level) => level !== MAX_LIGHT)) {
+      const light = chunk.getLightLayer();
+      const { ids } = chunk.data;
+      const layerSize = width * width;
+
+      // 1. Shine the sky light straight down each column and light up the light sources
+      for (let x = 0; x < width; x++) {
+        for (let z = 0; z < width; z++) {
+          let level = topLevels[x + z * width];
+          for (let y = height - 1; y >= 0; y--) {
+            const index = chunk.data.getIndex(x, y, z);
+            if (blockRegistry.blocksLight(ids[index])) {
+              level = 0;
+            }
+
+            const emitted = blockRegistry.getLightLevel(ids[index]);
+            light[index] = level << SKY.shift | emitted;
+            if (emitted > 0) {
+              blockQueue.push(this.toWorld(chunk, x, y, z));
+            }
+          }
+        }
+      }
+
+      // 2. Spread the sky light sideways from the lit columns into the dark ones
+      const isDark = (index) => light[index] >> SKY.shift === 0 && !blockRegistry.blocksLight(ids[index]);
+      for (let y = 0; y < height; y++) {
+        for (let z = 0; z < width; z++) {
+          for (let x = 0; x < width; x++) {
+            const index = chunk.data.getIndex(x, y, z);
+            if (light[index] >> SKY.shift !== MAX_LIGHT) continue;
+
+            // Light only goes straight down within a column, so the dark blocks are to the sides or below
+            const hasDarkNeighbor =
+              (x > 0 && isDark(index - 1)) ||
+              (x < width - 1 && isDark(index + 1)) ||
+              (z > 0 && isDark(index - width)) ||
+              (z < width - 1 && isDark(index + width)) ||
+              (y > 0 && isDark(index - layerSize));
+            if (hasDarkNeighbor) {
+              skyQueue.push(this.toWorld(chunk, x, y, z));
+            }
+          }
+        }
+      }
+    }
+
+    // 3. Exchange light with the loaded chunks around this one
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      const neighbor = this.getLoadedChunk(cx + dx, cy + dy, cz + dz);
+      if (!neighbor) continue;
+
+      forEachBorderBlock(chunk.size, dx, dy, dz, (x, y, z) => {
+        const nx = x + dx - dx * width;
+        const ny = y + dy - dy * height;
+        const nz = z + dz - dz * width;
+        const light = chunk.getLight(x, y, z);
+        const neighborLight = neighbor.getLight(nx, ny, nz);
+
+        for (const channel of [SKY, BLOCK]) {
+          const level = (light >> channel.shift) & MAX_LIGHT;
+          const neighborLevel = (neighborLight >> channel.shift) & MAX_LIGHT;
+          const queue = channel.sky ? skyQueue : blockQueue;
+
+          // The section below took this one for open sky while it wasn't loaded
+          if (channel.sky && dy === -1 && neighborLevel === MAX_LIGHT && level !== MAX_LIGHT) {
+            removals.push(this.toWorld(neighbor, nx, ny, nz));
+            continue;
+          }
+
+          if (neighborLevel > level + 1) {
+            queue.push(this.toWorld(neighbor, nx, ny, nz));
+          } else if (level > neighborLevel + 1) {
+            queue.push(this.toWorld(chunk, x, y, z));
+          }
+        }
+      });
+    }
+
+    for (const [x, y, z] of removals) {
+      this.setLevel(x, y, z, SKY, 0);
+    }
+    const relight = this.unspread(removals.map((p) => [...p, MAX_LIGHT]), SKY);
+
+    this.spread([...skyQueue, ...relight], SKY);
+    this.spread(blockQueue, BLOCK);
+
+    // The chunks next to this one treated it as empty until now, so the faces
+    // along their borders have to be culled and shaded against it
+    if (chunk.data) {
+      for (const [dx, dy, dz] of NEIGHBORS) {
+        const neighbor = this.getLoadedChunk(cx + dx, cy + dy, cz + dz);
+        if (neighbor?.data) {
+          this.changedChunks.add(neighbor);
+        }
+      }
+    }
+    this.updateChangedChunks(chunk);
+  }
+
+  /**
+   * Relights the world around (x, y, z) after the block there changed. The
+   * chunks whose shading changed are only marked, rebuild them with
+   * updateChangedChunks() once all of the changes are in.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  blockChanged(x, y, z) {
+    this.lastChunk = null;
+    const blockId = this.getBlockId(x, y, z);
+    if (blockId === null) return;
+
+    const blocking = blockRegistry.blocksLight(blockId);
+
+    // The block hides the faces next to it and shades their corners (ambient
+    // occlusion), so the chunks next to it only need rebuilding if it's on
+    // their border. Otherwise they're only rebuilt if their light changes.
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const chunk = this.findChunk(x + dx, y + dy, z + dz);
+          if (chunk) {
+            this.changedChunks.add(chunk);
+          }
+        }
+      }
+    }
+
+    for (const channel of [SKY, BLOCK]) {
+      const level = this.getLevel(x, y, z, channel);
+      const source = channel.sky
+        ? (!blocking && this.isUnderOpenSky(x, y, z) ? MAX_LIGHT : 0)
+        : blockRegistry.getLightLevel(blockId);
+
+      // Take away the light that was here, along with everything it lit up
+      let queue = [];
+      if (level > 0 && (blocking || source < level)) {
+        this.setLevel(x, y, z, channel, 0);
+        queue = this.unspread([[x, y, z, level]], channel);
+      }
+
+      if (source > this.getLevel(x, y, z, channel)) {
+        this.setLevel(x, y, z, channel, source);
+        queue.push([x, y, z]);
+      }
+
+      // Let the light around flow back in
+      if (!blocking) {
+        for (const [dx, dy, dz] of NEIGHBORS) {
+          if (this.getLevel(x + dx, y + dy, z + dz, channel) > 0) {
+            queue.push([x + dx, y + dy, z + dz]);
+          }
+        }
+      }
+
+      this.spread(queue, channel);
+    }
+  }
+
+  /**
+   * Spreads light outwards from the blocks in 'queue'
+   * @param {number[][]} queue World coordinates of the blocks to spread light from
+   * @param {{ shift: number, sky: boolean }} channel
+   */
+  spread(queue, channel) {
+    for (let i = 0; i < queue.length; i++) {
+      const [x, y, z] = queue[i];
+      const level = this.getLevel(x, y, z, channel);
+      if (!level) continue;
+
+      for (const [dx, dy, dz] of NEIGHBORS) {
+        const nx = x + dx, ny = y + dy, nz = z + dz;
+        if (blockRegistry.blocksLight(this.getBlockId(nx, ny, nz))) continue;
+
+        // Sky light keeps its full strength going straight down
+        const newLevel = channel.sky && dy === -1 && level === MAX_LIGHT ? MAX_LIGHT : level - 1;
+        if (this.getLevel(nx, ny, nz, channel) < newLevel) {
+          this.setLevel(nx, ny, nz, channel, newLevel);
+          queue.push([nx, ny, nz]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Darkens the blocks that were lit by the blocks in 'queue', which have
+   * already been set to 0. Returns the blocks around the darkened area that
+   * still have light of their own, which have to be spread again.
+   * @param {number[][]} queue World coordinates and previous light level of the darkened blocks
+   * @param {{ shift: number, sky: boolean }} channel
+   * @returns {number[][]}
+   */
+  unspread(queue, channel) {
+    const relight = [];
+
+    for (let i = 0; i < queue.length; i++) {
+      const [x, y, z, previousLevel] = queue[i];
+
+      for (const [dx, dy, dz] of NEIGHBORS) {
+        const nx = x + dx, ny = y + dy, nz = z + dz;
+        const level = this.getLevel(nx, ny, nz, channel);
+        if (!level) continue;
+
+        const litByThis = level < previousLevel ||
+          (channel.sky && dy === -1 && previousLevel === MAX_LIGHT);
+
+        if (!litByThis) {
+          relight.push([nx, ny, nz]);
+          continue;
+        }
+
+        this.setLevel(nx, ny, nz, channel, 0);
+        queue.push([nx, ny, nz, level]);
+
+        // Light sources keep shining
+        if (!channel.sky) {
+          const emitted = blockRegistry.getLightLevel(this.getBlockId(nx, ny, nz));
+          if (emitted > 0) {
+            this.setLevel(nx, ny, nz, channel, emitted);
+            relight.push([nx, ny, nz]);
+          }
+        }
+      }
+    }
+
+    return relight;
+  }
+
+  /**
+   * Returns true if nothing loaded is above (x, y, z), so it gets full sky light
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isUnderOpenSky(x, y, z) {
+    return y + 1 >= this.world.worldHeight || this.getLevel(x, y + 1, z, SKY) === null;
+  }
+
+  /**
+   * Returns the id of the block at (x, y, z), or null if it isn't loaded
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getBlockId(x, y, z) {
+    const chunk = this.findChunk(x, y, z);
+    if (!chunk) return null;
+    return chunk.getBlockId(x - chunk.position.x, y - chunk.position.y, z - chunk.position.z);
+  }
+
+  /**
+   * Returns the light level of the block at (x, y, z), or null if it isn't loaded
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {{ shift: number, sky: boolean }} channel
+   * @returns {number | null}
+   */
+  getLevel(x, y, z, channel) {
+    const chunk = this.findChunk(x, y, z);
+    if (!chunk) return null;
+    const light = chunk.getLight(x - chunk.position.x, y - chunk.position.y, z - chunk.position.z);
+    return (light >> channel.shift) & MAX_LIGHT;
+  }
+
+  /**
+   * Sets the light level of the block at (x, y, z) and marks the chunks that
+   * show it as changed
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {{ shift: number, sky: boolean }} channel
+   * @param {number} level
+   */
+  setLevel(x, y, z, channel, level) {
+    const chunk = this.findChunk(x, y, z);
+    if (!chunk) return;
+
+    const bx = x - chunk.position.x;
+    const by = y - chunk.position.y;
+    const bz = z - chunk.position.z;
+    const light = chunk.getLight(bx, by, bz);
+    chunk.setLight(bx, by, bz, (light & ~(MAX_LIGHT << channel.shift)) | level << channel.shift);
+
+    // Faces are shaded by the light in front of them, which can be in the next chunk over
+    this.changedChunks.add(chunk);
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      if (chunk.inBounds(bx + dx, by + dy, bz + dz)) continue;
+      const { x: cx, y: cy, z: cz } = chunk.userData;
+      const neighbor = this.getLoadedChunk(cx + dx, cy + dy, cz + dz);
+      if (neighbor) {
+        this.changedChunks.add(neighbor);
+      }
+    }
+  }
+
+  /**
+   * Returns the loaded chunk containing the block at (x, y, z), if there is one
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {import('./worldChunk').WorldChunk | null}
+   */
+  findChunk(x, y, z) {
+    const last = this.lastChunk;
+    if (last && last.inBounds(x - last.position.x, y - last.position.y, z - last.position.z)) {
+      return last;
+    }
+
+    const coords = this.world.worldToChunkCoords(x, y, z);
+    const chunk = this.getLoadedChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+    if (chunk) {
+      this.lastChunk = chunk;
+    }
+    return chunk;
+  }
+
+  /**
+   * Rebuilds the meshes of the chunks whose blocks or light changed, each of
+   * them once
+   * @param {import('./worldChunk').WorldChunk} [skip] A chunk that will be rebuilt anyway
+   */
+  updateChangedChunks(skip = null) {
+    for (const chunk of this.changedChunks) {
+      if (chunk !== skip) {
+        chunk.updateMesh();
+      }
+    }
+    this.changedChunks.clear();
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {import('./worldChunk').WorldChunk | null}
+   */
+  getLoadedChunk(x, y, z) {
+    const chunk = this.world.getChunk(x, y, z);
+    return chunk?.loaded ? chunk : null;
+  }
+
+  /**
+   * Converts block coordinates in 'chunk' to world coordinates
+   * @param {import('./worldChunk').WorldChunk} chunk
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number[]}
+   */
+  toWorld(chunk, x, y, z) {
+    return [chunk.position.x + x, chunk.position.y + y, chunk.position.z + z];
+  }
+}
+
+/**
+ * Calls 'callback' with the coordinates of each block on the side of a
+ * chunk facing (dx, dy, dz)
+ * @param {{ width: number, height: number }} size
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} dz
+ * @param {(x: number, y: number, z: number) => void} callback
+ */
+function forEachBorderBlock(size, dx, dy, dz, callback) {
+  const range = (d, length) => d === 0 ? [0, length - 1] : d > 0 ? [length - 1, length - 1] : [0, 0];
+  const [x0, x1] = range(dx, size.width);
+  const [y0, y1] = range(dy, size.height);
+  const [z0, z1] = range(dz, size.width);
+
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) {
+      for (let z = z0; z <= z1; z++) {
+        callback(x, y, z);
+      }
+    }
+  }
+}
@@ -2,11 +2,14 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import Stats from 'three/examples/jsm/libs/stats.module.js';
 import { World } from './world';
-import { createUI } from './ui';
+import { createInventoryScreen, createToolbar, createUI, createWorldControls, loadWorld, showStatus } from './ui';
 import { Player } from './player';
 import { Physics } from './physics';
-import { blocks } from './blocks';
+import { blockRegistry } from './blocks';
 import { ModelLoader } from './modelLoader';
+import { toolRegistry } from './tools';
+import { Sky } from './sky';
+import { Multiplayer } from './multiplayer';
 
 const stats = new Stats();
 document.body.appendChild(stats.dom);
@@ -15,84 +18,115 @@ document.body.appendChild(stats.dom);
 const renderer = new THREE.WebGLRenderer();
 renderer.setPixelRatio(window.devicePixelRatio);;
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setClearColor(0x80a0e0);
 renderer.shadowMap.enabled = true;
 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 document.body.appendChild(renderer.domElement);
 
 // Camera Setup
 const orbitCamera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight);
-orbitCamera.position.set(-20, 20, -20);
+orbitCamera.position.set(-20, 80, -20);
 orbitCamera.layers.enable(1);
 // orbitCamera.lookAt(0, 0, 0);
 
 const controls = new OrbitControls(orbitCamera, renderer.domElement);
-controls.target.set(16, 16, 16);
+controls.target.set(16, 48, 16);
 controls.update();
 
 // Scene Setup
 const scene = new THREE.Scene();
 scene.fog = new THREE.Fog(0x80a0e0, 50, 100);
 
+const player = new Player(scene);
+
 const world = new World();
-world.generate();
+world.player = player;
+world.onChunkFailed = (key, error) => showStatus(`CHUNK ${key} FAILED TO LOAD: ${error?.message ?? error}`);
+
+// Join a multiplayer server with ?server=localhost:8080, otherwise pick up
+// where the last session left off (falls back to a new world)
+const multiplayer = new Multiplayer(world, scene);
+multiplayer.onDisconnected = () => showStatus('DISCONNECTED FROM THE SERVER, PLAYING OFFLINE');
+const server = new URLSearchParams(window.location.search).get('server');
+if (server) {
+  multiplayer.connect(server).catch((error) => {
+    console.error(error);
+    showStatus(`MULTIPLAYER FAILED: ${error.message}`);
+    loadWorld(world);
+  });
+} else {
+  loadWorld(world);
+}
 scene.add(world);
+scene.add(world.fallingBlocks);
+scene.add(world.entities);
 
-const player = new Player(scene);
 const physics = new Physics(scene);
+// Draws the blocks the player collides with
+// physics.debugEntity = player;
 
 const modelLoader = new ModelLoader();
-modelLoader.loadModels((models) => {
-  player.tool.setMesh(models.pickaxe);
-})
-
-const sun = new THREE.DirectionalLight();
-
-function setupLights() {
-  sun.intensity = 4;
-  sun.position.set(20, 20, 20);
-  sun.castShadow = true;
-  sun.shadow.camera.left = -50;
-  sun.shadow.camera.right = 50;
-  sun.shadow.camera.bottom = -50;
-  sun.shadow.camera.top = 50;
-  sun.shadow.camera.near = 0.1;
-  sun.shadow.camera.far = 100;
-  sun.shadow.bias = -0.0005;
-  sun.shadow.mapSize = new THREE.Vector3(2048, 2048);
-  scene.add(sun);
-  scene.add(sun.target);
-
-  const shadowHelper = new THREE.CameraHelper(sun.shadow.camera);
-  scene.add(shadowHelper);
-  const ambient = new THREE.AmbientLight();
-  ambient.intensity = 0.1;
-  scene.add(ambient);
-}
+modelLoader.loadModels(toolRegistry.all, (models) => {
+  player.tool.setMeshes(models);
+});
+
+// The sky follows the world clock
+const sky = new Sky(scene, world.clock);
+scene.add(sky);
+
+const shadowHelper = new THREE.CameraHelper(sky.sun.shadow.camera);
+scene.add(shadowHelper);
 
 function onMouseDown(event) {
   if (player.controls.isLocked && player.selectedCoords) {
-    if (player.activeBlockId === blocks.empty.id) {
-      // console.log(`removing block at ${JSON.stringify(player.selectedCoords)}`);
-      world.removeBlock(
-        player.selectedCoords.x,
-        player.selectedCoords.y,
-        player.selectedCoords.z
-      );
-      player.tool.startAnimation();
+    // Items that can't be placed, like sticks, mine like the hand. Mining
+    // carries on for as long as the button is held (see mineBlock)
+    if (!blockRegistry.isPlaceable(player.activeBlockId)) {
+      player.mining = true;
     } else {
-      // console.log(`add block at ${JSON.stringify(player.selectedCoords)}`);
-      world.addBlock(
-        player.selectedCoords.x,
-        player.selectedCoords.y,
-        player.selectedCoords.z,
-        player.activeBlockId
-      );
+      // Everything a single click changes is undone as one step
+      world.history.group(() => {
+        // console.log(`add block at ${JSON.stringify(player.selectedCoords)}`);
+        const blockId = player.activeBlockId;
+        const placed = world.addBlock(
+          player.selectedCoords.x,
+          player.selectedCoords.y,
+          player.selectedCoords.z,
+          blockId
+        );
+        // Placing a block uses it up, and undoing it gives it back
+        if (placed) {
+          player.inventory.remove(player.activeSlot);
+          world.history.recordItems(blockId, -1);
+        }
+      });
     }
   } 
 }
 
+/**
+ * Removes the block the player is mining once they're done with it
+ * @param {number} dt
+ */
+function mineBlock(dt) {
+  if (!player.updateMining(dt, world)) return;
+
+  world.history.group(() => {
+    // console.log(`removing block at ${JSON.stringify(player.selectedCoords)}`);
+    const drop = world.removeBlock(
+      player.selectedCoords.x,
+      player.selectedCoords.y,
+      player.selectedCoords.z
+    );
+    if (drop !== null) {
+      // Anything that doesn't fit is lost
+      const left = player.inventory.add(drop);
+      world.history.recordItems(drop, 1 - left);
+    }
+  });
+}
+
 document.addEventListener('mousedown', onMouseDown);
+document.addEventListener('mouseup', () => player.mining = false);
 
 let previousTime = performance.now();
 // Render Loop
@@ -104,15 +138,14 @@ function animate() {
 
   if (player.controls.isLocked) {
     player.update(world);
-    physics.update(dt, player, world);
-    world.update(player);
-
-    sun.position.copy(world.position);
-    sun.position.sub(new THREE.Vector3(-50, -50, -50));
-    sun.target.position.copy(world.position);
+    mineBlock(dt);
+    physics.update(dt, [player, ...world.entities.active], world);
+    world.update(dt, player);
+    multiplayer.update(dt, player);
   }
 
-
+  // Also updated while paused so changes to the time show up straight away
+  sky.update(player.position);
 
   renderer.render(scene, player.controls.isLocked ? player.camera : orbitCamera);
   stats.update();
@@ -128,6 +161,8 @@ window.addEventListener('resize', () => {
   renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-setupLights();
+createToolbar(player);
+createInventoryScreen(player);
+createWorldControls(world);
 createUI(scene, world, player);
 animate();
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { Entity } from './entity';
+import { blockRegistry } from './blocks';
+
+/**
+ * @typedef {object} MobType
+ * @property {number} color
+ * @property {number} radius
+ * @property {number} height
+ * @property {number} speed Walking speed in blocks/s
+ * @property {{ [biome: string]: number }} biomes Chance of the mob spawning in each
+ * chunk column of the biome when it loads. It doesn't spawn in biomes left out.
+ */
+
+/**
+ * The kinds of passive mobs
+ * @type {{ [name: string]: MobType }}
+ */
+export const mobTypes = {
+  pig: {
+    color: 0xf0a8a0,
+    radius: 0.4,
+    height: 0.9,
+    speed: 2,
+    biomes: { Temperate: 0.4, Jungle: 0.3 }
+  },
+  sheep: {
+    color: 0xe8e8e0,
+    radius: 0.4,
+    height: 1.1,
+    speed: 1.5,
+    biomes: { Tundra: 0.4, Temperate: 0.2 }
+  }
+};
+
+/**
+ * A passive mob that wanders around, stopping now and then, and hops up
+ * single blocks in its way
+ */
+export class Mob extends Entity {
+  jumpSpeed = 9;
+
+  /**
+   * Seconds until the mob decides what to do next
+   */
+  timer = 0;
+
+  /**
+   * @param {string} type One of the mobTypes
+   */
+  constructor(type) {
+    super();
+    this.type = type;
+
+    const { color, radius, height, speed } = mobTypes[type];
+    this.radius = radius;
+    this.height = height;
+    this.speed = speed;
+
+    // The body hangs below the position, like the physics cylinder
+    const material = new THREE.MeshLambertMaterial({ color });
+    const body = new THREE.Mesh(new THREE.BoxGeometry(radius * 2, height * 0.6, radius * 3), material);
+    body.position.y = -height * 0.55;
+    const head = new THREE.Mesh(new THREE.BoxGeometry(radius * 1.5, radius * 1.5, radius * 1.5), material);
+    head.position.set(0, -height * 0.3, radius * 1.6);
+
+    for (const mesh of [body, head]) {
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.add(mesh);
+    }
+  }
+
+  get walking() {
+    return this.input.x !== 0 || this.input.z !== 0;
+  }
+
+  think(dt, world) {
+    this.timer -= dt;
+    if (this.timer <= 0) {
+      this.wander();
+    }
+
+    // Paddle to stay afloat
+    if (this.inWater) {
+      this.velocity.y = Math.max(this.velocity.y, 2);
+    }
+
+    if (this.walking && this.onGround) {
+      const step = this.getStepAhead(world);
+      if (step === 'jump') {
+        this.velocity.y = this.jumpSpeed;
+      } else if (step === 'blocked') {
+        this.wander();
+      }
+    }
+  }
+
+  /**
+   * Either stands still for a bit or sets off in a random direction
+   */
+  wander() {
+    if (Math.random() < 0.4) {
+      this.input.set(0, 0, 0);
+    } else {
+      const angle = Math.random() * Math.PI * 2;
+      this.input.set(Math.sin(angle) * this.speed, 0, Math.cos(angle) * this.speed);
+      this.rotation.y = angle;
+    }
+    this.timer = 2 + Math.random() * 4;
+  }
+
+  /**
+   * Looks at the blocks just ahead of the mob
+   * @param {import('./world').World} world
+   * @returns {'clear' | 'jump' | 'blocked'} 'jump' if there's a single block in the way
+   * with room on top of it, 'blocked' if it's any higher
+   */
+  getStepAhead(world) {
+    const direction = this.input.clone().normalize();
+    const x = Math.round(this.position.x + direction.x * (this.radius + 0.3));
+    const z = Math.round(this.position.z + direction.z * (this.radius + 0.3));
+    const feet = Math.round(this.position.y - this.height + 0.1);
+
+    if (!blockRegistry.isSolid(world.getBlockId(x, feet, z))) return 'clear';
+
+    // Needs room for its whole body on top of the block, and to jump up there
+    const top = Math.round(this.position.y + 1);
+    for (let y = feet + 1; y <= top; y++) {
+      if (blockRegistry.isSolid(world.getBlockId(x, y, z))) return 'blocked';
+    }
+    return 'jump';
+  }
+}
@@ -1,17 +1,62 @@
+import * as THREE from 'three';
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 
 export class ModelLoader {
   loader = new GLTFLoader();
 
-  models = {
-    pickaxe: undefined
+  /**
+   * The loaded models, keyed by tool name
+   * @type {{ [name: string]: THREE.Object3D }}
+   */
+  models = {};
+
+  /**
+   * Loads the model of each tool. Tools without a model, or whose model
+   * fails to load, get a stand-in built from their fallback boxes.
+   * @param {import('./toolRegistry').ToolDefinition[]} tools
+   * @param {(models: { [name: string]: THREE.Object3D }) => void} onLoad Called once every model is ready
+   */
+  loadModels(tools, onLoad) {
+    Promise.all(tools.map(async (tool) => {
+      this.models[tool.name] = await this.loadModel(tool);
+    })).then(() => onLoad(this.models));
+  }
+
+  /**
+   * @param {import('./toolRegistry').ToolDefinition} tool
+   * @returns {Promise<THREE.Object3D>}
+   */
+  async loadModel(tool) {
+    if (tool.model) {
+      try {
+        const model = await this.loader.loadAsync(tool.model);
+        return model.scene;
+      } catch (error) {
+        console.warn(`Couldn't load the model for the ${tool.name}, using a stand-in`, error);
+      }
+    }
+
+    return createFallbackModel(tool);
   }
+}
+
+/**
+ * Builds a model for 'tool' out of its fallback boxes
+ * @param {import('./toolRegistry').ToolDefinition} tool
+ * @returns {THREE.Group}
+ */
+function createFallbackModel(tool) {
+  const model = new THREE.Group();
+  model.name = tool.name;
 
-  loadModels(onLoad) {
-    this.loader.load('models/pickaxe.glb', (model) => {
-      const mesh = model.scene;
-      this.models.pickaxe = mesh;
-      onLoad(this.models);
-    });
+  for (const part of tool.fallback) {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...part.size),
+      new THREE.MeshLambertMaterial({ color: part.color })
+    );
+    mesh.position.fromArray(part.position);
+    model.add(mesh);
   }
-}
\ No newline at end of file
+
+  return model;
+}
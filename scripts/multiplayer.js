@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+import { DataStore } from './dataStore';
+import { MemoryBackend, RemoteBackend } from './storage';
+import { loadParams } from './generation';
+
+/**
+ * Plays the world together with others through a multiplayer server (see
+ * server/server.js). The server owns the world params and the player changes: the
+ * world reads its changes from the server, and sends every block the player
+ * edits to it. Edits by other players are applied as they come in, and
+ * other players are shown as avatars.
+ *
+ * The server decides the order of edits. If two players change the same
+ * block at once, the second edit is rejected and the server sends back the
+ * block as it really is, which replaces the local edit.
+ *
+ * Blocks knocked loose by an edit (e.g. sand falling) are only simulated by
+ * the player who made the edit, who sends where they end up like any other
+ * edit. Flowing water isn't sent at all: it isn't saved, and every player
+ * works it out from the same blocks.
+ */
+export class Multiplayer {
+  /**
+   * @type {WebSocket | null}
+   */
+  socket = null;
+
+  /**
+   * Our player id on the server
+   */
+  id = null;
+
+  /**
+   * Requests waiting for a response, keyed by request id
+   * @type {Map<number, { resolve: (response: object) => void, reject: (error: Error) => void }>}
+   */
+  requests = new Map();
+  nextRequestId = 0;
+
+  /**
+   * How often our position is sent to the server, in seconds
+   */
+  sendInterval = 0.1;
+  timeSinceSent = 0;
+
+  /**
+   * The other players, keyed by id
+   * @type {Map<number, Avatar>}
+   */
+  avatars = new Map();
+
+  /**
+   * Called when the connection to the server is lost, e.g. to let the player know
+   * @type {() => void}
+   */
+  onDisconnected = () => {};
+
+  /**
+   * @param {import('./world').World} world
+   * @param {THREE.Scene} scene
+   */
+  constructor(world, scene) {
+    this.world = world;
+    this.avatarGroup = new THREE.Group();
+    scene.add(this.avatarGroup);
+  }
+
+  get connected() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Connects to the server at 'address' (e.g. localhost:8080) and loads its world
+   * @param {string} address
+   * @returns {Promise<void>}
+   */
+  async connect(address) {
+    const url = address.includes('://') ? address : `ws://${address}`;
+    const welcome = await new Promise((resolve, reject) => {
+      this.socket = new WebSocket(url);
+      this.socket.onerror = () => reject(new Error(`Couldn't connect to ${url}`));
+      this.socket.onmessage = (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type === 'welcome') {
+          resolve(message);
+        } else {
+          this.onMessage(message);
+        }
+      };
+    });
+
+    this.id = welcome.id;
+    // Everyone has to generate the world the same way
+    loadParams(this.world.params, welcome.params);
+    for (const player of welcome.players) {
+      this.updateAvatar(player);
+    }
+
+    this.socket.onmessage = (event) => this.onMessage(JSON.parse(event.data));
+    this.socket.onclose = () => this.disconnected();
+
+    // Read the params and the changes from the server from now on
+    this.world.multiplayer = this;
+    this.world.setDataStore(new DataStore(new RemoteBackend(this)));
+    await this.world.load();
+  }
+
+  /**
+   * Sends 'message' to the server and waits for the response
+   * @param {object} message
+   * @returns {Promise<object>}
+   */
+  request(message) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected to the server'));
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(requestId, { resolve, reject });
+      this.send({ ...message, requestId });
+    });
+  }
+
+  /**
+   * @param {object} message
+   */
+  send(message) {
+    if (this.connected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * @param {object} message
+   */
+  onMessage(message) {
+    switch (message.type) {
+      case 'response': {
+        const request = this.requests.get(message.requestId);
+        this.requests.delete(message.requestId);
+        if (message.error) {
+          request?.reject(new Error(message.error));
+        } else {
+          request?.resolve(message);
+        }
+        break;
+      }
+      case 'blockChanged':
+        // Someone else's edit, or the real block after ours was rejected
+        this.world.setBlock(message.x, message.y, message.z, message.id, { remote: true });
+        break;
+      case 'player':
+        this.updateAvatar(message);
+        break;
+      case 'playerLeft':
+        this.removeAvatar(message.id);
+        break;
+    }
+  }
+
+  /**
+   * Carries on without the server. The changes read from it so far are kept
+   * in memory along with any new ones, but chunks that weren't loaded yet
+   * come without the other players' changes. Nothing is written to the local
+   * save, which is a different world.
+   */
+  disconnected() {
+    console.warn('Lost the connection to the multiplayer server');
+    for (const { reject } of this.requests.values()) {
+      reject(new Error('Lost the connection to the server'));
+    }
+    this.requests.clear();
+    for (const id of [...this.avatars.keys()]) {
+      this.removeAvatar(id);
+    }
+
+    const dataStore = new DataStore(new MemoryBackend());
+    for (const [key, changes] of this.world.dataStore.chunks) {
+      dataStore.chunks.set(key, new Map(changes));
+    }
+    this.world.multiplayer = null;
+    this.world.setDataStore(dataStore);
+
+    this.onDisconnected();
+  }
+
+  /**
+   * Sends an edit the player made (or a block it knocked loose) to the server
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number | null} previousId What the player saw there before, null if unknown
+   * @param {number} blockId
+   * @returns {Promise<boolean>} False if the server rejected the edit
+   */
+  async blockEdited(x, y, z, previousId, blockId) {
+    try {
+      const { accepted } = await this.request({ type: 'setBlock', x, y, z, previousId, id: blockId });
+      return accepted;
+    } catch (error) {
+      // The edit never made it to the server, so there's nothing to take back
+      console.warn(`Couldn't send the edit at ${x}, ${y}, ${z}: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Sends our position every so often and moves the avatars along
+   * @param {number} dt
+   * @param {import('./player').Player} player
+   */
+  update(dt, player) {
+    this.timeSinceSent += dt;
+    if (this.timeSinceSent >= this.sendInterval) {
+      this.timeSinceSent = 0;
+      const direction = player.camera.getWorldDirection(new THREE.Vector3());
+      const { x, y, z } = player.position;
+      this.send({ type: 'position', x, y, z, yaw: Math.atan2(direction.x, direction.z) });
+    }
+
+    for (const avatar of this.avatars.values()) {
+      avatar.update(dt);
+    }
+  }
+
+  /**
+   * @param {{ id: number, x: number, y: number, z: number, yaw: number }} player
+   */
+  updateAvatar({ id, x, y, z, yaw }) {
+    let avatar = this.avatars.get(id);
+    if (!avatar) {
+      avatar = new Avatar(id);
+      avatar.position.set(x, y, z);
+      this.avatars.set(id, avatar);
+      this.avatarGroup.add(avatar);
+    }
+    avatar.target.set(x, y, z);
+    avatar.rotation.y = yaw;
+  }
+
+  /**
+   * @param {number} id
+   */
+  removeAvatar(id) {
+    const avatar = this.avatars.get(id);
+    if (!avatar) return;
+
+    this.avatars.delete(id);
+    this.avatarGroup.remove(avatar);
+    avatar.dispose();
+  }
+}
+
+/**
+ * Another player. Like the player, the position is their eyes, and the
+ * body hangs below it. Positions only arrive every so often, so the avatar
+ * glides towards the latest one.
+ */
+class Avatar extends THREE.Group {
+  /**
+   * Where the player was last seen
+   */
+  target = new THREE.Vector3();
+
+  /**
+   * @param {number} id
+   */
+  constructor(id) {
+    super();
+
+    // A different color for each player
+    const color = new THREE.Color().setHSL((id * 0.618) % 1, 0.6, 0.5);
+    const material = new THREE.MeshLambertMaterial({ color });
+    const skin = new THREE.MeshLambertMaterial({ color: 0xe0ac82 });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.6, 1.3, 0.3), material);
+    body.position.y = -1.1;
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.5, 0.5), skin);
+    head.position.y = -0.1;
+
+    for (const mesh of [body, head]) {
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.add(mesh);
+    }
+  }
+
+  /**
+   * @param {number} dt
+   */
+  update(dt) {
+    this.position.lerp(this.target, 1 - Math.exp(-dt * 10));
+  }
+
+  dispose() {
+    this.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  }
+}
@@ -1,7 +1,6 @@
 import * as THREE from 'three';
-import { Player } from './player';
 import { World } from './world';
-import { blocks } from './blocks';
+import { blockRegistry } from './blocks';
 
 const collisionMaterial = new THREE.MeshBasicMaterial({
   color: 0xff0000,
@@ -18,6 +17,22 @@ const contactMaterial = new THREE.MeshBasicMaterial({
 
 const contactGeometry = new THREE.SphereGeometry(0.05, 6, 6);
 
+/**
+ * Anything the physics can move: the player or an Entity. It is a cylinder
+ * 'radius' wide and 'height' tall hanging down from 'position'.
+ * @typedef {object} PhysicsEntity
+ * @property {THREE.Vector3} position
+ * @property {THREE.Vector3} velocity
+ * @property {THREE.Vector3} worldVelocity
+ * @property {number} radius
+ * @property {number} height
+ * @property {boolean} onGround
+ * @property {boolean} inWater
+ * @property {(dt: number, speedFactor?: number) => void} applyInputs
+ * @property {(dv: THREE.Vector3) => void} applyWorldDeltaVelocity
+ * @property {() => void} updateBoundsHelper
+ */
+
 export class Physics {
   simulationRate = 200;
   timestep = 1 / this.simulationRate;
@@ -25,6 +40,29 @@ export class Physics {
 
   gravity = 32;
 
+  /**
+   * How fluids slow entities down
+   */
+  fluid = {
+    speedFactor: 0.5,
+    gravityFactor: 0.25,
+    maxSinkSpeed: 2
+  };
+
+  /**
+   * The entity whose collision candidates and contact points are drawn,
+   * for debugging. Nothing is drawn while it's null.
+   * @type {PhysicsEntity | null}
+   */
+  debugEntity = null;
+
+  // The helper meshes are reused from one step to the next, and the ones
+  // past the counts are hidden
+  collisionHelpers = [];
+  contactHelpers = [];
+  collisionHelperCount = 0;
+  contactHelperCount = 0;
+
   constructor(scene) {
     this.helpers = new THREE.Group();
 
@@ -32,77 +70,118 @@ export class Physics {
   }
 
   /**
-   * Mvoes the physics simulation forward in time by 'dt'
+   * Mvoes the physics simulation forward in time by 'dt'. Every entity
+   * (including the player) is stepped with the same collision code.
    * @param {number} dt
-   * @param {Player} player
+   * @param {PhysicsEntity[]} entities
    * @param {World} world
    */
-  update(dt, player, world) {
+  update(dt, entities, world) {
     this.accumulator += dt;
 
     while (this.accumulator >= this.timestep) {
-      this.helpers.clear();
-      player.velocity.y -= this.gravity * this.timestep;
-      player.applyInputs(this.timestep);
-      player.updateBoundsHelper();
-      this.detectCollisions(player, world);
+      this.collisionHelperCount = 0;
+      this.contactHelperCount = 0;
+
+      for (const entity of entities) {
+        this.step(entity, world);
+      }
+
+      world.fallingBlocks.update(this.timestep, this.gravity);
       this.accumulator -= this.timestep;
     }
 
+    this.hideUnusedHelpers();
+  }
+
+  /**
+   * Moves 'entity' forward by one timestep and pushes it out of any blocks
+   * @param {PhysicsEntity} entity
+   * @param {World} world
+   */
+  step(entity, world) {
+    entity.inWater = this.isInFluid(entity, world);
+    if (entity.inWater) {
+      entity.velocity.y -= this.gravity * this.fluid.gravityFactor * this.timestep;
+      entity.velocity.y = Math.max(entity.velocity.y, -this.fluid.maxSinkSpeed);
+      entity.applyInputs(this.timestep, this.fluid.speedFactor);
+    } else {
+      entity.velocity.y -= this.gravity * this.timestep;
+      entity.applyInputs(this.timestep);
+    }
+
+    entity.updateBoundsHelper();
+    this.detectCollisions(entity, world);
+  }
+
+  /**
+   * Returns true if the entity's feet or body are in a fluid
+   * @param {PhysicsEntity} entity
+   * @param {World} world
+   * @returns {boolean}
+   */
+  isInFluid(entity, world) {
+    const x = Math.round(entity.position.x);
+    const z = Math.round(entity.position.z);
+    const feet = world.getBlockId(x, Math.round(entity.position.y - entity.height + 0.1), z);
+    const body = world.getBlockId(x, Math.round(entity.position.y - entity.height / 2), z);
+    return blockRegistry.isFluid(feet) || blockRegistry.isFluid(body);
   }
 
   /**
    * Main function for collision detection
-   * @param {Player} player
+   * @param {PhysicsEntity} entity
    * @param {World} world
    */
-  detectCollisions(player, world) {
-    player.onGround = false;
+  detectCollisions(entity, world) {
+    entity.onGround = false;
 
-    const candidates = this.broadPhase(player, world);
-    const collisions = this.narrowPhase(candidates, player);
+    const candidates = this.broadPhase(entity, world);
+    const collisions = this.narrowPhase(candidates, entity);
   
     if (collisions.length > 0) {
-      this.resolveCollisions(collisions, player);
+      this.resolveCollisions(collisions, entity);
     }
   }
 
   /**
    * Performs a rough search against the world to return all
-   * possible blocks the player may be colliding with
-   * @param {Player} player
+   * possible blocks the entity may be colliding with
+   * @param {PhysicsEntity} entity
    * @param {World} world
    * @returns {[]}
    */
-  broadPhase(player, world) {
+  broadPhase(entity, world) {
     const candidates = [];
 
-    // Get the extents of the player
+    // Get the extents of the entity
     const extents ={
       x: {
-        min: Math.floor(player.position.x - player.radius),
-        max: Math.ceil(player.position.x + player.radius),
+        min: Math.floor(entity.position.x - entity.radius),
+        max: Math.ceil(entity.position.x + entity.radius),
       },
       y: {
-        min: Math.floor(player.position.y - player.height),
-        max: Math.ceil(player.position.y),
+        min: Math.floor(entity.position.y - entity.height),
+        max: Math.ceil(entity.position.y),
       },
       z: {
-        min: Math.floor(player.position.z - player.radius),
-        max: Math.ceil(player.position.z + player.radius),
+        min: Math.floor(entity.position.z - entity.radius),
+        max: Math.ceil(entity.position.z + entity.radius),
       },
     }
 
-    // Loop through all blocks in the world with in the player's extents
-    // If they aren't empty, then are a possible collision candidate
+    // Loop through all blocks in the world with in the entity's extents
+    // If they are solid, then are a possible collision candidate
     for (let x = extents.x.min; x <= extents.x.max; x++) {
       for (let y = extents.y.min; y <= extents.y.max; y++) {
         for (let z = extents.z.min; z <= extents.z.max; z++) {
           const block = world.getBlock(x, y, z);
-          if (block && block.id !== blocks.empty.id) {
+          if (block && blockRegistry.isSolid(block.id)) {
             const blockPos = { x, y, z };
             candidates.push(blockPos);
-            this.addCollisionHelper(blockPos);
+            if (entity === this.debugEntity) {
+              this.addCollisionHelper(blockPos);
+            }
           }
         }
       }
@@ -115,40 +194,40 @@ export class Physics {
 
   /**
    * Narrows down the blocks found in the board-phase to the set
-   * of blocks the player is actually colliding with
+   * of blocks the entity is actually colliding with
    * @param {{ x: number, y: number, z:number}[]} candidates
-   * @param {Player} player
+   * @param {PhysicsEntity} entity
    * @returns
    */
-  narrowPhase(candidates, player) {
+  narrowPhase(candidates, entity) {
     const collisions = [];
 
     for (const block of candidates) {
-      // 1. Get point on block closest to the player
-      const p = player.position;
+      // 1. Get point on block closest to the entity
+      const p = entity.position;
       const closestPoint = {
         x: Math.max(block.x - 0.5, Math.min(p.x, block.x + 0.5)),
-        y: Math.max(block.y - 0.5, Math.min(p.y - (player.height / 2), block.y + 0.5)),
+        y: Math.max(block.y - 0.5, Math.min(p.y - (entity.height / 2), block.y + 0.5)),
         z: Math.max(block.z - 0.5, Math.min(p.z, block.z + 0.5))
       };
-      // 2. Determine if point is inside player's bounding cylinder
-      const dx = closestPoint.x - player.position.x;
-      const dy = closestPoint.y - (player.position.y - (player.height / 2));
-      const dz = closestPoint.z - player.position.z;
+      // 2. Determine if point is inside entity's bounding cylinder
+      const dx = closestPoint.x - entity.position.x;
+      const dy = closestPoint.y - (entity.position.y - (entity.height / 2));
+      const dz = closestPoint.z - entity.position.z;
 
-      if (this.pointInPlayerBoundingCylinder(closestPoint, player)) {
-        // Compute the overlap between the point and the player's bounding
+      if (this.pointInBoundingCylinder(closestPoint, entity)) {
+        // Compute the overlap between the point and the entity's bounding
         // cylinder along the y-axis and in the xz-plane
-        const overlapY = (player.height / 2) - Math.abs(dy);
-        const overlapXZ = player.radius - Math.sqrt(dx * dx + dz * dz);
+        const overlapY = (entity.height / 2) - Math.abs(dy);
+        const overlapXZ = entity.radius - Math.sqrt(dx * dx + dz * dz);
 
         // compute the normal of the collision (pointing away from the contact point)
-        // and the overlap between the point and the player's bounding cylinder
+        // and the overlap between the point and the entity's bounding cylinder
         let normal, overlap;
         if (overlapY < overlapXZ) {
           normal = new THREE.Vector3(0, -Math.sign(dy), 0);
           overlap = overlapY;
-          player.onGround = true;
+          entity.onGround = true;
         } else {
           normal = new THREE.Vector3(-dx, 0, -dz).normalize();
           overlap = overlapXZ;
@@ -161,7 +240,9 @@ export class Physics {
           overlap,
         });
 
-        this.addContactPointHelper(closestPoint);
+        if (entity === this.debugEntity) {
+          this.addContactPointHelper(closestPoint);
+        }
       }
     }
 
@@ -173,43 +254,42 @@ export class Physics {
   /**
    * Resolves each of the collisions found in the narrow-phase
    * @param {object} collisions
-   * @param {Player} player
+   * @param {PhysicsEntity} entity
    */
-  resolveCollisions(collisions, player) {
+  resolveCollisions(collisions, entity) {
     collisions.sort((a, b) => {
       return a.overlap < b.overlap;
     });
 
     for (const collision of collisions) {
-      // We need to re-check if the contact point is inside the player bounding
-      // cylinder for each collision since the player position is updated after
+      // We need to re-check if the contact point is inside the entity bounding
+      // cylinder for each collision since the entity position is updated after
       // each collision is resolved
-      if (!this.pointInPlayerBoundingCylinder(collision.contactPoint, player)) continue;
+      if (!this.pointInBoundingCylinder(collision.contactPoint, entity)) continue;
 
-      // Adjust position of player so the block and player are no longer overlapping
+      // Adjust position of entity so the block and entity are no longer overlapping
       let deltaPosition = collision.normal.clone();
       deltaPosition.multiplyScalar(collision.overlap);
-      player.position.add(deltaPosition);
+      entity.position.add(deltaPosition);
       
-      // 2) Negate player's velocity along the collision normal
-      // Get the magnitude of the player's velocity along the collision normal
-      let magnitude = player.worldVelocity.dot(collision.normal);
-      // Remove that part of the velocity from the player's velocity
+      // 2) Negate entity's velocity along the collision normal
+      // Get the magnitude of the entity's velocity along the collision normal
+      let magnitude = entity.worldVelocity.dot(collision.normal);
+      // Remove that part of the velocity from the entity's velocity
       let velocityAdjustment = collision.normal.clone().multiplyScalar(magnitude);
 
-      // Apply the velocity to the player
-      player.applyWorldDeltaVelocity(velocityAdjustment.negate());
+      // Apply the velocity to the entity
+      entity.applyWorldDeltaVelocity(velocityAdjustment.negate());
     }
   }
 
   /**
-   * Visualize the block the player is colliding with
+   * Visualize the block the entity is colliding with
    * @param {THREE.Object3D} block
    */
   addCollisionHelper(block) {
-    const blockMesh = new THREE.Mesh(collisionGeometry, collisionMaterial);
+    const blockMesh = this.getHelper(this.collisionHelpers, this.collisionHelperCount++, collisionGeometry, collisionMaterial);
     blockMesh.position.copy(block);
-    this.helpers.add(blockMesh);
   }
 
   /**
@@ -217,24 +297,54 @@ export class Physics {
    * @param {{ x, y, z }} p
    */
   addContactPointHelper(p) {
-    const contactMesh = new THREE.Mesh(contactGeometry, contactMaterial);
+    const contactMesh = this.getHelper(this.contactHelpers, this.contactHelperCount++, contactGeometry, contactMaterial);
     contactMesh.position.copy(p);
-    this.helpers.add(contactMesh);
   }
 
   /**
-   * Returns true if the point 'p' is inside the player's bounding cylinder
+   * Returns the helper mesh at 'index' in 'helpers', creating it if needed
+   * @param {THREE.Mesh[]} helpers
+   * @param {number} index
+   * @param {THREE.BufferGeometry} geometry
+   * @param {THREE.Material} material
+   * @returns {THREE.Mesh}
+   */
+  getHelper(helpers, index, geometry, material) {
+    let mesh = helpers[index];
+    if (!mesh) {
+      mesh = new THREE.Mesh(geometry, material);
+      helpers.push(mesh);
+      this.helpers.add(mesh);
+    }
+    mesh.visible = true;
+    return mesh;
+  }
+
+  /**
+   * Hides the helpers that weren't used by the last step
+   */
+  hideUnusedHelpers() {
+    for (let i = this.collisionHelperCount; i < this.collisionHelpers.length; i++) {
+      this.collisionHelpers[i].visible = false;
+    }
+    for (let i = this.contactHelperCount; i < this.contactHelpers.length; i++) {
+      this.contactHelpers[i].visible = false;
+    }
+  }
+
+  /**
+   * Returns true if the point 'p' is inside the entity's bounding cylinder
    * @param {{ x: number, y: number, z: number }} p
-   * @param {Player} player
+   * @param {PhysicsEntity} entity
    * @returns {boolean}
    */
-  pointInPlayerBoundingCylinder(p, player) {
-    const dx = p.x - player.position.x;
-    const dy = p.y - (player.position.y - (player.height / 2));
-    const dz = p.z - player.position.z;
+  pointInBoundingCylinder(p, entity) {
+    const dx = p.x - entity.position.x;
+    const dy = p.y - (entity.position.y - (entity.height / 2));
+    const dz = p.z - entity.position.z;
     const r_sq = dx * dx + dz * dz;
 
-    // Check if contact point is inside the player's bounding cylinder
-    return (Math.abs(dy) < player.height / 2) && (r_sq < player.radius * player.radius);
+    // Check if contact point is inside the entity's bounding cylinder
+    return (Math.abs(dy) < entity.height / 2) && (r_sq < entity.radius * entity.radius);
   }
 }
\ No newline at end of file
@@ -1,15 +1,24 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
-import { blocks } from './blocks';
-import { Tool } from './tools';
+import { blocks, blockRegistry } from './blocks';
+import { Tool, toolRegistry } from './tools';
+import { Inventory } from './inventory';
+import { recipeRegistry } from './recipes';
 
 const CENTER_SCREEN = new THREE.Vector2();
 
+/**
+ * Number of steps the crack overlay goes through while mining a block
+ */
+const CRACK_STAGES = 10;
+
 export class Player {
   radius = 0.5;
   height = 1.75;
   jumpSpeed = 10;
+  swimSpeed = 3;
   onGround = false;
+  inWater = false;
 
   maxSpeed = 10;
   input = new THREE.Vector3();
@@ -22,12 +31,43 @@ export class Player {
 
   raycaster = new THREE.Raycaster(undefined, undefined, 0, 3);
   selectedCoords = null
-  activeBlockId = blocks.empty.id;
+
+  inventory = new Inventory();
+
+  /**
+   * The 3x3 crafting grid on the inventory screen
+   */
+  craftingGrid = new Inventory(9);
+
+  /**
+   * The selected hotbar slot, or null when the player is using their bare
+   * hand to mine
+   * @type {number | null}
+   */
+  activeSlot = null;
+
+  /**
+   * Set while the inventory screen is open, so key presses don't grab the mouse
+   */
+  inventoryOpen = false;
 
   tool = new Tool();
 
+  /**
+   * Set while the mouse button is held down to mine the selected block
+   */
+  mining = false;
+
+  /**
+   * The block being mined, and how far along mining it is (0 to 1).
+   * Progress is lost when the crosshair moves off the block.
+   * @type {THREE.Vector3 | null}
+   */
+  miningTarget = null;
+  miningProgress = 0;
+
   constructor(scene) {
-    this.camera.position.set(32, 16, 32);
+    this.camera.position.set(32, 80, 32);
     this.camera.layers.enable(1);
     scene.add(this.camera);
     // scene.add(this.cameraHelper);
@@ -36,6 +76,8 @@ export class Player {
 
     document.addEventListener('keydown', this.onKeyDown.bind(this));
     document.addEventListener('keyup', this.onKeyUp.bind(this));
+    // The mouse button might be let go of while the pointer is unlocked
+    this.controls.addEventListener('unlock', () => this.mining = false);
 
     // Wireframe mesh visualizing the player's bounding cylinder
     this.boundsHelper = new THREE.Mesh(
@@ -53,9 +95,75 @@ export class Player {
     this.selectionHelper = new THREE.Mesh(selectionGeometry, selectionMaterial);
     scene.add(this.selectionHelper);
 
+    // Cracks drawn over the block being mined, one texture per stage
+    this.crackTextures = createCrackTextures(CRACK_STAGES);
+    this.crackOverlay = new THREE.Mesh(
+      new THREE.BoxGeometry(1.02, 1.02, 1.02),
+      new THREE.MeshBasicMaterial({
+        map: this.crackTextures[0],
+        transparent: true,
+        depthWrite: false
+      })
+    );
+    this.crackOverlay.visible = false;
+    this.selectionHelper.add(this.crackOverlay);
+
     this.raycaster.layers.set(0);
   }
 
+  /**
+   * The block the player is about to place, or empty if they are mining
+   * @type {number}
+   */
+  get activeBlockId() {
+    if (this.activeSlot === null) return blocks.empty.id;
+    return this.inventory.getStack(this.activeSlot)?.blockId ?? blocks.empty.id;
+  }
+
+  /**
+   * The tool the player is mining with. Anything that isn't a tool is the hand.
+   * @type {import('./toolRegistry').ToolDefinition}
+   */
+  get activeTool() {
+    return toolRegistry.getTool(this.activeBlockId);
+  }
+
+  /**
+   * The recipe made by the items in the crafting grid, if any
+   * @type {import('./recipeRegistry').Recipe | null}
+   */
+  get craftingRecipe() {
+    const grid = this.craftingGrid.slots.map((stack) => stack?.blockId ?? null);
+    return recipeRegistry.match(grid, 3);
+  }
+
+  /**
+   * Crafts the recipe in the crafting grid, using up one item from each
+   * cell and adding the result to the inventory
+   * @returns {boolean} False if nothing was crafted, e.g. the inventory is full
+   */
+  craft() {
+    const recipe = this.craftingRecipe;
+    if (!recipe || this.inventory.space(recipe.result.blockId) < recipe.result.count) {
+      return false;
+    }
+
+    this.craftingGrid.slots.forEach((stack, slot) => stack && this.craftingGrid.remove(slot));
+    this.inventory.add(recipe.result.blockId, recipe.result.count);
+    return true;
+  }
+
+  /**
+   * Puts whatever is left in the crafting grid back in the inventory
+   */
+  emptyCraftingGrid() {
+    this.craftingGrid.slots.forEach((stack, slot) => {
+      if (!stack) return;
+      const left = this.inventory.add(stack.blockId, stack.count);
+      this.craftingGrid.remove(slot, stack.count - left);
+    });
+  }
+
   get worldVelocity() {
     this.#worldVelocity.copy(this.velocity);
     this.#worldVelocity.applyEuler(new THREE.Euler(0, this.camera.rotation.y, 0));
@@ -65,9 +173,58 @@ export class Player {
 
   update(world) {
     this.updateRaycaster(world);
+    // Only show the tool when nothing is being placed
+    this.tool.setTool(this.activeTool);
+    this.tool.visible = !blockRegistry.isPlaceable(this.activeBlockId);
     this.tool.update();
   }
 
+  /**
+   * Adds 'dt' seconds of mining to the selected block while the mouse
+   * button is held down
+   * @param {number} dt
+   * @param {import('./world').World} world
+   * @returns {boolean} True once the block has been mined
+   */
+  updateMining(dt, world) {
+    const coords = this.selectedCoords;
+    if (!this.mining || !coords || blockRegistry.isPlaceable(this.activeBlockId)) {
+      this.resetMining();
+      return false;
+    }
+
+    if (!this.miningTarget?.equals(coords)) {
+      this.resetMining();
+      this.miningTarget = coords.clone();
+    }
+
+    const blockId = world.getBlockId(coords.x, coords.y, coords.z);
+    const time = blockRegistry.getMiningTime(blockId, this.activeTool.effectiveness);
+    if (time === Infinity) return false;
+
+    this.tool.startAnimation();
+    this.miningProgress += time > 0 ? dt / time : 1;
+
+    if (this.miningProgress >= 1) {
+      this.resetMining();
+      return true;
+    }
+
+    const stage = Math.floor(this.miningProgress * CRACK_STAGES);
+    this.crackOverlay.material.map = this.crackTextures[stage];
+    this.crackOverlay.visible = true;
+    return false;
+  }
+
+  /**
+   * Forgets about the block being mined
+   */
+  resetMining() {
+    this.miningTarget = null;
+    this.miningProgress = 0;
+    this.crackOverlay.visible = false;
+  }
+
   updateRaycaster(world) {
     this.raycaster.setFromCamera(CENTER_SCREEN, this.camera);
     const intersections = this.raycaster.intersectObject(world, true);
@@ -75,18 +232,13 @@ export class Player {
     if (intersections.length > 0) {
       const intersection = intersections[0];
 
-      // Get the position of the chunk that the block is contained in
-      const chunk = intersection.object.parent;
-
-      const blockMatrix = new THREE.Matrix4();
-      intersection.object.getMatrixAt(intersection.instanceId, blockMatrix);
+      // The intersection point lies on the face of the block, so step half a
+      // block back along the face normal to get the center of the block
+      this.selectedCoords = intersection.point.clone();
+      this.selectedCoords.addScaledVector(intersection.normal, -0.5);
+      this.selectedCoords.round();
 
-      // Extract the position from the block's transformation matrix
-      // and store it in selectedCoords
-      this.selectedCoords = chunk.position.clone();
-      this.selectedCoords.applyMatrix4(blockMatrix);
-
-      if (this.activeBlockId !== blocks.empty.id) {
+      if (blockRegistry.isPlaceable(this.activeBlockId)) {
         this.selectedCoords.add(intersection.normal);
       }
 
@@ -107,10 +259,15 @@ export class Player {
     this.velocity.add(dv); 
   }
 
-  applyInputs(dt) {
+  /**
+   * Moves the player according to the keyboard input
+   * @param {number} dt
+   * @param {number} speedFactor Scales the walking speed, e.g. to slow the player down in water
+   */
+  applyInputs(dt, speedFactor = 1) {
     if (this.controls.isLocked) {
-      this.velocity.x = this.input.x;
-      this.velocity.z = this.input.z;
+      this.velocity.x = this.input.x * speedFactor;
+      this.velocity.z = this.input.z * speedFactor;
       this.controls.moveRight(this.velocity.x * dt);
       this.controls.moveForward(this.velocity.z * dt);
       this.position.y += this.velocity.y * dt;
@@ -181,7 +338,8 @@ export class Player {
    * @param {KeyboardEvent} event 
    */
   onKeyDown(event) {
-    if(!this.controls.isLocked) {
+    // E opens and closes the inventory screen, which handles the lock itself
+    if(!this.controls.isLocked && !this.inventoryOpen && event.code !== 'KeyE') {
       this.controls.lock();
       // console.log('controls locked');
     }
@@ -196,14 +354,15 @@ export class Player {
       case 'Digit6':
       case 'Digit7':
       case 'Digit8':
-        document.getElementById(`toolbar-${this.activeBlockId}`).classList.remove('selected');
-        this.activeBlockId = Number(event.key);
-        document.getElementById(`toolbar-${this.activeBlockId}`).classList.add('selected');
+      case 'Digit9': {
+        // 0 is the hand, 1 - 9 are the hotbar slots
+        const slot = Number(event.key) === 0 ? null : Number(event.key) - 1;
 
-        // Only show the tool when it is currently active
-        this.tool.visible = (this.activeBlockId === 0);
-        // console.log(`activeBlockId = ${event.key}`);
+        document.getElementById(`toolbar-slot-${this.activeSlot ?? 'hand'}`).classList.remove('selected');
+        this.activeSlot = slot;
+        document.getElementById(`toolbar-slot-${this.activeSlot ?? 'hand'}`).classList.add('selected');
         break;
+      }
       case 'KeyW':
         this.input.z = this.maxSpeed;
         break;
@@ -217,11 +376,13 @@ export class Player {
         this.input.x = this.maxSpeed;
         break;
       case 'KeyR':
-        this.position.set(32, 16, 32);
+        this.position.set(32, 80, 32);
         this.velocity.set(0, 0, 0);
         break;
       case 'Space':
-        if (this.onGround) {
+        if (this.inWater) {
+          this.velocity.y = this.swimSpeed;
+        } else if (this.onGround) {
           this.velocity.y += this.jumpSpeed;
         }
         break;
@@ -240,3 +401,47 @@ export class Player {
     return str;
   }
 }
+
+/**
+ * Draws the crack textures shown while mining. Each stage adds more cracks
+ * to the one before it, spreading out from the middle of the face.
+ * @param {number} stages
+ * @returns {THREE.CanvasTexture[]}
+ */
+function createCrackTextures(stages) {
+  const size = 16;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+
+  // Random walks from the middle of the face, always the same ones
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const cracks = Array.from({ length: 6 }, () => ({ x: size / 2, y: size / 2 }));
+
+  const textures = [];
+  for (let stage = 0; stage < stages; stage++) {
+    for (let step = 0; step < 2; step++) {
+      for (const crack of cracks) {
+        crack.x = Math.min(Math.max(crack.x + Math.round(random() * 2 - 1), 0), size - 1);
+        crack.y = Math.min(Math.max(crack.y + Math.round(random() * 2 - 1), 0), size - 1);
+        context.fillRect(crack.x, crack.y, 1, 1);
+      }
+    }
+
+    // Each stage keeps its own copy of the canvas
+    const copy = document.createElement('canvas');
+    copy.width = size;
+    copy.height = size;
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+
+    const texture = new THREE.CanvasTexture(copy);
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    textures.push(texture);
+  }
+
+  return textures;
+}
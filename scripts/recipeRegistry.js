@@ -0,0 +1,238 @@
+/**
+ * A recipe, as loaded from JSON. Items are referred to by block name.
+ *
+ * Shaped recipes lay their ingredients out in 'pattern', one string per
+ * row, with each character looked up in 'key' (spaces are empty cells).
+ * The pattern can go anywhere in the grid and may be mirrored left to right.
+ *
+ * Shapeless recipes only need the 'ingredients' to be somewhere in the grid.
+ * @typedef {object} RecipeDefinition
+ * @property {'shaped' | 'shapeless'} type
+ * @property {string[]} [pattern] Rows of the shaped recipe
+ * @property {{ [symbol: string]: string }} [key] Item for each symbol in the pattern
+ * @property {string[]} [ingredients] Items needed by the shapeless recipe
+ * @property {{ item: string, count?: number }} result What the recipe makes (count defaults to 1)
+ */
+
+/**
+ * A recipe with the item names resolved to ids
+ * @typedef {object} Recipe
+ * @property {'shaped' | 'shapeless'} type
+ * @property {number} [width] Width of the shaped pattern
+ * @property {number} [height] Height of the shaped pattern
+ * @property {(number | null)[]} [cells] Item id in each cell of the shaped pattern, row by row
+ * @property {number[]} [ingredients] Sorted item ids of the shapeless recipe
+ * @property {{ blockId: number, count: number }} result
+ */
+
+/**
+ * Thrown when recipe definitions are invalid
+ */
+export class RecipeError extends Error {
+  name = 'RecipeError';
+}
+
+/**
+ * Holds the crafting recipes and finds the one matching the items in a
+ * crafting grid.
+ *
+ * This module has no DOM or THREE dependencies. Item names are resolved
+ * with the lookup passed in, so it doesn't depend on the block registry either.
+ */
+export class RecipeRegistry {
+  /**
+   * @type {Recipe[]}
+   */
+  recipes = [];
+
+  /**
+   * @param {(name: string) => number | undefined} lookup Returns the id of the item called 'name'
+   */
+  constructor(lookup) {
+    this.lookup = lookup;
+  }
+
+  /**
+   * Adds the recipes from a data file
+   * @param {{ recipes: RecipeDefinition[] }} definitions
+   * @throws {RecipeError} If any of the recipes are invalid. None are added in that case.
+   */
+  load(definitions) {
+    if (!Array.isArray(definitions?.recipes)) {
+      throw new RecipeError('"recipes" must be an array');
+    }
+
+    const errors = [];
+    const recipes = [];
+    definitions.recipes.forEach((definition, index) => {
+      try {
+        recipes.push(this.compile(definition));
+      } catch (error) {
+        if (!(error instanceof RecipeError)) throw error;
+        errors.push(`recipe ${index}: ${error.message}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new RecipeError(`Invalid recipes:\n${errors.join('\n')}`);
+    }
+
+    this.recipes.push(...recipes);
+  }
+
+  /**
+   * Adds a single recipe
+   * @param {RecipeDefinition} definition
+   * @throws {RecipeError} If the recipe is invalid
+   */
+  add(definition) {
+    this.recipes.push(this.compile(definition));
+  }
+
+  /**
+   * Finds the recipe made by the items in a crafting grid
+   * @param {(number | null)[]} grid Item id in each cell (null when empty), row by row
+   * @param {number} width Width of the grid
+   * @returns {Recipe | null}
+   */
+  match(grid, width) {
+    const items = grid.filter((id) => id !== null);
+    if (items.length === 0) return null;
+
+    const trimmed = trim(grid, width);
+    const sorted = items.sort((a, b) => a - b);
+
+    return this.recipes.find((recipe) => (
+      recipe.type === 'shaped' ? matchesShape(recipe, trimmed) : sameItems(recipe.ingredients, sorted)
+    )) ?? null;
+  }
+
+  /**
+   * Checks a recipe definition and resolves its item names
+   * @param {RecipeDefinition} definition
+   * @returns {Recipe}
+   * @throws {RecipeError}
+   */
+  compile(definition) {
+    const { type, pattern, key, ingredients, result } = definition ?? {};
+
+    const resultId = this.resolve(result?.item);
+    const count = result.count ?? 1;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new RecipeError('result count must be a positive integer');
+    }
+
+    if (type === 'shaped') {
+      if (!Array.isArray(pattern) || pattern.length === 0 || pattern.some((row) => typeof row !== 'string')) {
+        throw new RecipeError('shaped recipes need a pattern of strings');
+      }
+
+      const width = pattern[0].length;
+      if (width === 0 || pattern.some((row) => row.length !== width)) {
+        throw new RecipeError('pattern rows must all be the same length');
+      }
+
+      const cells = [...pattern.join('')].map((symbol) => {
+        if (symbol === ' ') return null;
+        if (!key?.[symbol]) throw new RecipeError(`no item for '${symbol}' in the key`);
+        return this.resolve(key[symbol]);
+      });
+
+      // Patterns with empty rows or columns around them would never match a trimmed grid
+      const trimmed = trim(cells, width);
+      if (trimmed.cells.length === 0) {
+        throw new RecipeError('pattern is empty');
+      }
+
+      return { type, ...trimmed, result: { blockId: resultId, count } };
+    }
+
+    if (type === 'shapeless') {
+      if (!Array.isArray(ingredients) || ingredients.length === 0) {
+        throw new RecipeError('shapeless recipes need a list of ingredients');
+      }
+
+      const ids = ingredients.map((name) => this.resolve(name)).sort((a, b) => a - b);
+      return { type, ingredients: ids, result: { blockId: resultId, count } };
+    }
+
+    throw new RecipeError(`unknown recipe type '${type}'`);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @throws {RecipeError} If there's no item called 'name'
+   */
+  resolve(name) {
+    const id = typeof name === 'string' ? this.lookup(name) : undefined;
+    if (id === undefined) {
+      throw new RecipeError(`unknown item '${name}'`);
+    }
+    return id;
+  }
+}
+
+/**
+ * Cuts the empty rows and columns off the edges of a grid
+ * @param {(number | null)[]} cells
+ * @param {number} width
+ * @returns {{ width: number, height: number, cells: (number | null)[] }}
+ */
+function trim(cells, width) {
+  const height = cells.length / width;
+  let minX = width, maxX = -1, minY = height, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (cells[x + y * width] === null) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  if (maxX < 0) return { width: 0, height: 0, cells: [] };
+
+  const trimmed = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      trimmed.push(cells[x + y * width]);
+    }
+  }
+
+  return { width: maxX - minX + 1, height: maxY - minY + 1, cells: trimmed };
+}
+
+/**
+ * Returns true if the trimmed grid has the recipe's pattern, either as is
+ * or mirrored left to right
+ * @param {Recipe} recipe
+ * @param {{ width: number, height: number, cells: (number | null)[] }} grid
+ * @returns {boolean}
+ */
+function matchesShape(recipe, grid) {
+  if (recipe.width !== grid.width || recipe.height !== grid.height) return false;
+
+  let same = true;
+  let mirrored = true;
+  for (let y = 0; y < grid.height; y++) {
+    for (let x = 0; x < grid.width; x++) {
+      const cell = grid.cells[x + y * grid.width];
+      same &&= recipe.cells[x + y * grid.width] === cell;
+      mirrored &&= recipe.cells[(grid.width - 1 - x) + y * grid.width] === cell;
+    }
+  }
+
+  return same || mirrored;
+}
+
+/**
+ * @param {number[]} a Sorted item ids
+ * @param {number[]} b Sorted item ids
+ * @returns {boolean}
+ */
+function sameItems(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
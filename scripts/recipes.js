@@ -0,0 +1,10 @@
+import definitions from './recipes.json';
+import { RecipeRegistry } from './recipeRegistry';
+import { blocks } from './blocks';
+
+/**
+ * All of the crafting recipes, loaded from recipes.json. More can be added
+ * from other data files with recipeRegistry.load()
+ */
+export const recipeRegistry = new RecipeRegistry((name) => blocks[name]?.id);
+recipeRegistry.load(definitions);
@@ -0,0 +1,101 @@
+import { blockRegistry } from './blocks';
+
+/**
+ * Reads the block textures from a resource pack, either the files of a
+ * folder or a single zip file. PNGs are matched to textures by file name,
+ * so 'dirt.png' anywhere in the pack replaces the 'dirt' texture
+ * (textures/dirt.png). Textures the pack doesn't have are left out.
+ * @param {File[]} files
+ * @returns {Promise<{ [name: string]: ImageBitmap }>} Images keyed by texture name
+ */
+export async function readResourcePack(files) {
+  const entries = files.length === 1 && files[0].name.toLowerCase().endsWith('.zip')
+    ? await readZip(files[0])
+    : files.map((file) => ({ name: file.webkitRelativePath || file.name, blob: file }));
+
+  const images = {};
+  for (const { name, blob } of entries) {
+    const fileName = getFileName(name);
+    if (!fileName.endsWith('.png')) continue;
+
+    const textures = Object.keys(blockRegistry.textures)
+      .filter((texture) => getFileName(blockRegistry.textures[texture]) === fileName);
+    if (textures.length === 0) continue;
+
+    try {
+      const image = await createImageBitmap(blob);
+      textures.forEach((texture) => images[texture] = image);
+    } catch {
+      console.error(`Failed to decode '${name}' from the resource pack`);
+    }
+  }
+
+  return images;
+}
+
+/**
+ * @param {string} path
+ * @returns {string} The lower case file name at the end of 'path'
+ */
+function getFileName(path) {
+  return path.split(/[\\/]/).pop().toLowerCase();
+}
+
+/**
+ * Extracts the files from a zip archive. Only stored and deflated entries
+ * are supported, which covers the zips made by every common tool.
+ * @param {Blob} file
+ * @returns {Promise<{ name: string, blob: Blob }[]>}
+ */
+async function readZip(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  // The end of central directory record is at the end of the file, followed
+  // by a comment of up to 64KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a zip file');
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Zip file is corrupt');
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (method !== 0 && method !== 8) {
+      console.error(`Skipping '${name}' in the resource pack, unsupported compression method ${method}`);
+      continue;
+    }
+
+    // The local header repeats the name and may have a different extra field
+    const dataOffset = headerOffset + 30 +
+      view.getUint16(headerOffset + 26, true) +
+      view.getUint16(headerOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+
+    const blob = method === 0
+      ? new Blob([data])
+      : await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+
+    entries.push({ name, blob });
+  }
+
+  return entries;
+}
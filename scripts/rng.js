@@ -17,4 +17,65 @@ export class RNG {
       result /= 4294967296;
       return result;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Whether 'seed' can be used as a world seed
+ * @param {unknown} seed
+ * @returns {boolean}
+ */
+export function isValidSeed(seed) {
+  return typeof seed === 'string' || Number.isFinite(seed);
+}
+
+/**
+ * Turns a world seed into the number the generator works with. Numbers
+ * (and strings that are just a number) are used as they are, so worlds
+ * keep their terrain. Any other string is hashed to a stable value.
+ * @param {number | string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number') return seed;
+
+  const text = seed.trim();
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : hashString(text);
+}
+
+/**
+ * Mixes numbers (e.g. a seed and block coordinates) and strings (e.g. the
+ * name of a feature) into a well spread 32-bit hash. Seeding an RNG with
+ * hash(seed, 'trees', x, z) gives every column its own random stream, so
+ * the result doesn't depend on what else was generated before it.
+ * @param {...(number | string)} values
+ * @returns {number}
+ */
+export function hash(...values) {
+  let h = 0x9747b28c;
+  for (const value of values) {
+    const n = typeof value === 'string' ? hashString(value) : value | 0;
+    h = Math.imul(h ^ n, 0x5bd1e995);
+    h ^= h >>> 15;
+  }
+
+  // Murmur3's finalizer, so neighbouring coordinates end up far apart
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+const daySkyColor = new THREE.Color(0x80a0e0);
+const nightSkyColor = new THREE.Color(0x0a0e1c);
+const sunsetSkyColor = new THREE.Color(0xe08060);
+
+/**
+ * Distance of the sun, moon and stars from the player. Kept inside the
+ * camera's far plane.
+ */
+const skyDistance = 150;
+
+/**
+ * The sun, moon, stars and sky colour, all driven by the world clock.
+ * The sun and moon orbit the player from east to west, and only the sun
+ * casts shadows.
+ */
+export class Sky extends THREE.Group {
+  /**
+   * Brightest the sun gets at noon
+   */
+  sunIntensity = 4;
+
+  /**
+   * Brightest the moon gets at midnight
+   */
+  moonIntensity = 0.4;
+
+  /**
+   * Ambient light during the day and at night
+   */
+  ambientIntensity = { day: 0.1, night: 0.05 };
+
+  /**
+   * @param {THREE.Scene} scene
+   * @param {import('./worldClock').WorldClock} clock
+   */
+  constructor(scene, clock) {
+    super();
+    this.scene = scene;
+    this.clock = clock;
+
+    this.sun = new THREE.DirectionalLight();
+    this.sun.castShadow = true;
+    this.sun.shadow.camera.left = -50;
+    this.sun.shadow.camera.right = 50;
+    this.sun.shadow.camera.bottom = -50;
+    this.sun.shadow.camera.top = 50;
+    this.sun.shadow.camera.near = 0.1;
+    this.sun.shadow.camera.far = 100;
+    this.sun.shadow.bias = -0.0005;
+    this.sun.shadow.mapSize = new THREE.Vector2(2048, 2048);
+    this.add(this.sun);
+    this.add(this.sun.target);
+
+    this.moon = new THREE.DirectionalLight(0x8090c0);
+    this.add(this.moon);
+    this.add(this.moon.target);
+
+    this.ambient = new THREE.AmbientLight();
+    this.add(this.ambient);
+
+    this.sunDisc = createDisc(0xfff4c0, 20);
+    this.moonDisc = createDisc(0xd8e0f0, 12);
+    this.stars = createStars(1500);
+    this.add(this.sunDisc, this.moonDisc, this.stars);
+
+    this.skyColor = new THREE.Color();
+    scene.background = this.skyColor;
+  }
+
+  /**
+   * Moves the sky along with the player and updates it for the current time
+   * @param {THREE.Vector3} center Where the player is
+   */
+  update(center) {
+    const angle = this.clock.sunAngle;
+    const daylight = this.clock.daylight;
+
+    // Rises in the east (+x), sets in the west, tilted a little to the south
+    const sunDirection = new THREE.Vector3(Math.sin(angle), -Math.cos(angle), 0.3).normalize();
+    const moonDirection = sunDirection.clone().negate();
+
+    this.sun.position.copy(center).addScaledVector(sunDirection, 50);
+    this.sun.target.position.copy(center);
+    this.sun.intensity = this.sunIntensity * daylight;
+
+    this.moon.position.copy(center).addScaledVector(moonDirection, 50);
+    this.moon.target.position.copy(center);
+    this.moon.intensity = this.moonIntensity * (1 - daylight);
+
+    this.ambient.intensity = THREE.MathUtils.lerp(
+      this.ambientIntensity.night,
+      this.ambientIntensity.day,
+      daylight
+    );
+
+    this.sunDisc.position.copy(center).addScaledVector(sunDirection, skyDistance);
+    this.sunDisc.lookAt(center);
+    this.moonDisc.position.copy(center).addScaledVector(moonDirection, skyDistance);
+    this.moonDisc.lookAt(center);
+
+    // The stars turn with the sky and fade out in daylight
+    this.stars.position.copy(center);
+    this.stars.rotation.z = angle;
+    this.stars.material.opacity = 1 - daylight;
+    this.stars.visible = daylight < 1;
+
+    // Redden the sky while the sun is close to the horizon
+    const sunset = Math.max(0, 1 - Math.abs(this.clock.sunHeight) / 0.25);
+    this.skyColor.lerpColors(nightSkyColor, daySkyColor, daylight);
+    this.skyColor.lerp(sunsetSkyColor, sunset * 0.5);
+
+    if (this.scene.fog) {
+      this.scene.fog.color.copy(this.skyColor);
+    }
+  }
+}
+
+/**
+ * Creates a flat square for the sun or moon that ignores lights and fog
+ * @param {number} color
+ * @param {number} size
+ * @returns {THREE.Mesh}
+ */
+function createDisc(color, size) {
+  return new THREE.Mesh(
+    new THREE.PlaneGeometry(size, size),
+    new THREE.MeshBasicMaterial({ color, fog: false })
+  );
+}
+
+/**
+ * Creates a field of stars scattered evenly over a sphere around the player
+ * @param {number} count
+ * @returns {THREE.Points}
+ */
+function createStars(count) {
+  const positions = new Float32Array(count * 3);
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < count; i++) {
+    point.randomDirection().multiplyScalar(skyDistance + 10);
+    point.toArray(positions, i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+  return new THREE.Points(geometry, new THREE.PointsMaterial({
+    color: 0xffffff,
+    size: 1.5,
+    sizeAttenuation: false,
+    transparent: true,
+    depthWrite: false,
+    fog: false
+  }));
+}
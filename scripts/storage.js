@@ -0,0 +1,192 @@
+/**
+ * Storage backends used by the DataStore to persist the player's changes.
+ *
+ * A backend stores the changes for each chunk under a chunk key, plus
+ * arbitrary metadata (e.g. the world params) under a name. All methods
+ * are async so backends are free to do their work off the main thread.
+ *
+ * @typedef {{ [blockKey: string]: number }} ChunkChanges
+ *
+ * @typedef {object} StorageBackend
+ * @property {(chunkKey: string) => Promise<ChunkChanges | undefined>} loadChunk
+ * @property {(chunkKey: string, changes: ChunkChanges) => Promise<void>} saveChunk
+ * @property {() => Promise<string[]>} getChunkKeys
+ * @property {(name: string) => Promise<any>} loadMeta
+ * @property {(name: string, value: any) => Promise<void>} saveMeta
+ * @property {() => Promise<void>} clear
+ */
+
+const CHUNK_STORE = 'chunks';
+const META_STORE = 'meta';
+const DB_VERSION = 2;
+
+/**
+ * Stores the world in the browser's IndexedDB
+ * @implements {StorageBackend}
+ */
+export class IndexedDBBackend {
+  /**
+   * @param {string} name Name of the IndexedDB database
+   */
+  constructor(name = 'minecraft') {
+    this.name = name;
+    this.db = null;
+  }
+
+  /**
+   * Opens the database, creating the object stores the first time and
+   * upgrading databases written by older versions
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          if (event.oldVersion < 1) {
+            request.result.createObjectStore(CHUNK_STORE);
+            request.result.createObjectStore(META_STORE);
+          } else if (event.oldVersion < 2) {
+            upgradeChunkKeys(request.transaction.objectStore(CHUNK_STORE));
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Runs 'action' against 'storeName' in a new transaction and resolves
+   * with the result of the request it returns
+   * @param {string} storeName
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} action
+   * @returns {Promise<any>}
+   */
+  async transaction(storeName, mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  loadChunk(chunkKey) {
+    return this.transaction(CHUNK_STORE, 'readonly', (store) => store.get(chunkKey));
+  }
+
+  async saveChunk(chunkKey, changes) {
+    await this.transaction(CHUNK_STORE, 'readwrite', (store) => store.put(changes, chunkKey));
+  }
+
+  getChunkKeys() {
+    return this.transaction(CHUNK_STORE, 'readonly', (store) => store.getAllKeys());
+  }
+
+  loadMeta(name) {
+    return this.transaction(META_STORE, 'readonly', (store) => store.get(name));
+  }
+
+  async saveMeta(name, value) {
+    await this.transaction(META_STORE, 'readwrite', (store) => store.put(value, name));
+  }
+
+  async clear() {
+    await this.transaction(CHUNK_STORE, 'readwrite', (store) => store.clear());
+    await this.transaction(META_STORE, 'readwrite', (store) => store.clear());
+  }
+}
+
+/**
+ * Version 1 stored whole chunk columns under 'x-z'. Columns were 32 blocks
+ * tall, so they become the bottom section 'x-0-z' of each column.
+ * @param {IDBObjectStore} store
+ */
+function upgradeChunkKeys(store) {
+  store.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const match = String(cursor.key).match(/^(-?\d+)-(-?\d+)$/);
+    if (match) {
+      store.put(cursor.value, `${match[1]}-0-${match[2]}`);
+      cursor.delete();
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Keeps the world in memory only. Useful for tests and for
+ * environments without IndexedDB.
+ * @implements {StorageBackend}
+ */
+export class MemoryBackend {
+  chunks = new Map();
+  meta = new Map();
+
+  async loadChunk(chunkKey) {
+    const changes = this.chunks.get(chunkKey);
+    return changes && { ...changes };
+  }
+
+  async saveChunk(chunkKey, changes) {
+    this.chunks.set(chunkKey, { ...changes });
+  }
+
+  async getChunkKeys() {
+    return [...this.chunks.keys()];
+  }
+
+  async loadMeta(name) {
+    return structuredClone(this.meta.get(name));
+  }
+
+  async saveMeta(name, value) {
+    this.meta.set(name, structuredClone(value));
+  }
+
+  async clear() {
+    this.chunks.clear();
+    this.meta.clear();
+  }
+}
+
+/**
+ * Reads the world from a multiplayer server (see server/server.js), which
+ * owns the player changes. Changes reach the server as they are made, so
+ * there is nothing to save here.
+ * @implements {StorageBackend}
+ */
+export class RemoteBackend {
+  /**
+   * @param {import('./multiplayer').Multiplayer} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async loadChunk(chunkKey) {
+    const { changes } = await this.connection.request({ type: 'loadChunk', chunkKey });
+    return changes;
+  }
+
+  async saveChunk() {}
+
+  async getChunkKeys() {
+    const { keys } = await this.connection.request({ type: 'getChunkKeys' });
+    return keys;
+  }
+
+  async loadMeta(name) {
+    const { value } = await this.connection.request({ type: 'loadMeta', name });
+    return value;
+  }
+
+  async saveMeta() {}
+
+  async clear() {}
+}
@@ -0,0 +1,168 @@
+/**
+ * A structure definition, as loaded from JSON. Structures are templates of
+ * blocks placed on the surface during generation, e.g. boulders or ruins.
+ * @typedef {object} StructureDefinition
+ * @property {string} name Unique name
+ * @property {{ [biome: string]: number }} biomes Chance of the structure being placed
+ * on each surface column of the biome. It isn't placed in biomes left out.
+ * @property {{ [char: string]: string }} palette Block name for each character used in
+ * the layers. 'empty' clears the block, characters left out (e.g. ' ') leave it alone.
+ * @property {string[][]} layers Horizontal slices from the bottom up. Each slice is a list
+ * of rows along z, and each row a string along x. All of them must be the same size.
+ * @property {number} [offsetY] How far the bottom layer is above the ground, negative
+ * to sink it in (default 0, on top of the surface block)
+ */
+
+/**
+ * A structure, ready to be placed
+ * @typedef {object} Structure
+ * @property {string} name
+ * @property {{ [biome: string]: number }} biomes
+ * @property {number} offsetY
+ * @property {{ x: number, y: number, z: number }} size
+ * @property {number} radius How far the structure reaches from its center column
+ * @property {{ x: number, y: number, z: number, id: number }[]} blocks The blocks relative
+ * to the center column and the bottom layer
+ */
+
+/**
+ * Thrown when the structure definitions are invalid
+ */
+export class StructureRegistryError extends Error {
+  name = 'StructureRegistryError';
+}
+
+/**
+ * Holds all of the structure templates, loaded from JSON definitions. Block
+ * names are resolved with the lookup passed in.
+ *
+ * This module is shared with the chunk workers, so it must stay DOM free.
+ */
+export class StructureRegistry {
+  /**
+   * @type {Structure[]}
+   */
+  all = [];
+
+  /**
+   * Structures keyed by name
+   * @type {{ [name: string]: Structure }}
+   */
+  byName = {};
+
+  /**
+   * @param {{ structures: StructureDefinition[] }} definitions
+   * @param {(name: string) => number | undefined} lookup Returns the id of the block called 'name'
+   * @throws {StructureRegistryError} If any of the definitions are invalid
+   */
+  constructor(definitions, lookup) {
+    const errors = validate(definitions, lookup);
+    if (errors.length > 0) {
+      throw new StructureRegistryError(`Invalid structure definitions:\n${errors.join('\n')}`);
+    }
+
+    for (const definition of definitions.structures) {
+      const structure = compile(definition, lookup);
+      this.all.push(structure);
+      this.byName[structure.name] = structure;
+    }
+  }
+
+  /**
+   * How far the widest structure reaches from its center column
+   * @type {number}
+   */
+  get maxRadius() {
+    return Math.max(0, ...this.all.map((structure) => structure.radius));
+  }
+}
+
+/**
+ * Turns the layers of a definition into a list of blocks around the center column
+ * @param {StructureDefinition} definition
+ * @param {(name: string) => number | undefined} lookup
+ * @returns {Structure}
+ */
+function compile(definition, lookup) {
+  const { layers } = definition;
+  const size = { x: layers[0][0].length, y: layers.length, z: layers[0].length };
+  const centerX = Math.floor(size.x / 2);
+  const centerZ = Math.floor(size.z / 2);
+
+  const blocks = [];
+  layers.forEach((rows, y) => {
+    rows.forEach((row, z) => {
+      [...row].forEach((char, x) => {
+        const name = definition.palette[char];
+        if (name === undefined) return;
+        blocks.push({ x: x - centerX, y, z: z - centerZ, id: lookup(name) });
+      });
+    });
+  });
+
+  return {
+    name: definition.name,
+    biomes: definition.biomes,
+    offsetY: definition.offsetY ?? 0,
+    size,
+    radius: Math.max(centerX, size.x - 1 - centerX, centerZ, size.z - 1 - centerZ),
+    blocks
+  };
+}
+
+/**
+ * Checks the structure definitions for mistakes
+ * @param {{ structures: StructureDefinition[] }} definitions
+ * @param {(name: string) => number | undefined} lookup
+ * @returns {string[]} A description of each problem found
+ */
+function validate(definitions, lookup) {
+  if (!Array.isArray(definitions?.structures)) {
+    return ['"structures" must be an array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  for (const structure of definitions.structures) {
+    const label = `structure '${structure.name}'`;
+
+    if (typeof structure.name !== 'string' || structure.name.length === 0) {
+      errors.push(`${label}: missing name`);
+    } else if (names.has(structure.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(structure.name);
+    }
+
+    const biomes = structure.biomes;
+    if (typeof biomes !== 'object' || biomes === null || !Object.values(biomes).every((chance) => chance >= 0 && chance <= 1)) {
+      errors.push(`${label}: biomes must map biome names to chances between 0 and 1`);
+    }
+
+    const palette = structure.palette ?? {};
+    for (const [char, name] of Object.entries(palette)) {
+      if (char.length !== 1) {
+        errors.push(`${label}: palette keys must be single characters`);
+      } else if (lookup(name) === undefined) {
+        errors.push(`${label}: unknown block '${name}'`);
+      }
+    }
+
+    const layers = structure.layers;
+    const width = layers?.[0]?.[0]?.length;
+    const depth = layers?.[0]?.length;
+    const layersValid = Array.isArray(layers) && layers.length > 0 && width > 0 && layers.every((rows) => (
+      Array.isArray(rows) && rows.length === depth && rows.every((row) => typeof row === 'string' && row.length === width)
+    ));
+    if (!layersValid) {
+      errors.push(`${label}: layers must be a list of equally sized lists of equally long strings`);
+    }
+
+    if (structure.offsetY !== undefined && !Number.isInteger(structure.offsetY)) {
+      errors.push(`${label}: offsetY must be an integer`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,9 @@
+import definitions from './structures.json' with { type: 'json' };
+import { StructureRegistry } from './structureRegistry.js';
+import { blocks } from './blocks.js';
+
+/**
+ * All of the structure templates, loaded from structures.json. Like
+ * blocks.js, this is shared with the chunk workers and Node.
+ */
+export const structureRegistry = new StructureRegistry(definitions, (name) => blocks[name]?.id);
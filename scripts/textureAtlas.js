@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+/**
+ * Packs a set of square tiles into a single texture so every block face can
+ * be drawn with the same material. Tiles are laid out in a grid in the order
+ * their names are given, so the layout is known before any image has loaded.
+ */
+export class TextureAtlas {
+  /**
+   * @param {string[]} names Name of each tile
+   * @param {number} tileSize Size of each tile in pixels. Images of other sizes are scaled to fit.
+   */
+  constructor(names, tileSize = 16) {
+    this.names = names;
+    this.tileSize = tileSize;
+    this.columns = Math.ceil(Math.sqrt(names.length));
+    this.rows = Math.ceil(names.length / this.columns);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.columns * tileSize;
+    this.canvas.height = this.rows * tileSize;
+    this.context = this.canvas.getContext('2d');
+    this.context.imageSmoothingEnabled = false;
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.minFilter = THREE.NearestFilter;
+    this.texture.magFilter = THREE.NearestFilter;
+    this.texture.generateMipmaps = false;
+
+    // Size of a tile in UV space
+    this.tileScale = new THREE.Vector2(1 / this.columns, 1 / this.rows);
+  }
+
+  /**
+   * Returns the index of the tile called 'name'
+   * @param {string} name
+   * @returns {number}
+   */
+  getTileIndex(name) {
+    return this.names.indexOf(name);
+  }
+
+  /**
+   * Returns the UV coordinates of the bottom left corner of tile 'index'
+   * @param {number} index
+   * @returns {[number, number]}
+   */
+  getTileOffset(index) {
+    const column = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    // The canvas is flipped when uploaded, so row 0 is at the top of the UV space
+    return [column / this.columns, 1 - (row + 1) / this.rows];
+  }
+
+  /**
+   * Redraws every tile and uploads the atlas. Tiles can be filled with
+   * an image or a flat CSS color; anything else gets a placeholder.
+   * @param {{ [name: string]: CanvasImageSource | string | undefined }} sources
+   */
+  draw(sources) {
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    this.names.forEach((name, index) => {
+      const x = (index % this.columns) * this.tileSize;
+      const y = Math.floor(index / this.columns) * this.tileSize;
+      const source = sources[name];
+
+      if (typeof source === 'string') {
+        this.context.fillStyle = source;
+        this.context.fillRect(x, y, this.tileSize, this.tileSize);
+      } else if (source) {
+        this.context.drawImage(source, x, y, this.tileSize, this.tileSize);
+      } else {
+        this.drawPlaceholder(x, y);
+      }
+    });
+
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Draws the magenta and black checkerboard used for missing textures
+   * @param {number} x
+   * @param {number} y
+   */
+  drawPlaceholder(x, y) {
+    const half = this.tileSize / 2;
+    this.context.fillStyle = '#000000';
+    this.context.fillRect(x, y, this.tileSize, this.tileSize);
+    this.context.fillStyle = '#ff00ff';
+    this.context.fillRect(x, y, half, half);
+    this.context.fillRect(x + half, y + half, half, half);
+  }
+}
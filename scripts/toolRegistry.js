@@ -0,0 +1,160 @@
+/**
+ * How the tool moves while it's being used. The curve gives how far along
+ * the motion the tool is over time (see Tool), which scales the rotation
+ * (radians) and position offsets.
+ * @typedef {object} ToolAnimation
+ * @property {'swing' | 'chop' | 'thrust'} curve
+ * @property {number} duration Length of the animation in ms
+ * @property {number} [cycles] Number of times the curve repeats during the animation (default 1)
+ * @property {{ x?: number, y?: number, z?: number }} [rotation]
+ * @property {{ x?: number, y?: number, z?: number }} [position]
+ */
+
+/**
+ * A box making up part of the stand-in model used when a tool has no
+ * model, or it fails to load
+ * @typedef {{ size: number[], position: number[], color: string }} FallbackPart
+ */
+
+/**
+ * A tool definition, as loaded from JSON
+ * @typedef {object} ToolDefinition
+ * @property {string} name Unique name, used to look the tool up in code
+ * @property {string} [item] Name of the item that is this tool when held. The tool
+ * without an item is the hand, used whenever the player isn't holding a tool.
+ * @property {string} [model] Path of the glTF model shown in first person
+ * @property {FallbackPart[]} fallback Boxes shown instead of a missing model
+ * @property {ToolAnimation} animation
+ * @property {{ [category: string]: number }} [effectiveness] How many times faster than
+ * the hand the tool mines each block category (see the block 'category')
+ */
+
+export const ANIMATION_CURVES = ['swing', 'chop', 'thrust'];
+
+/**
+ * Thrown when the tool definitions are invalid
+ */
+export class ToolRegistryError extends Error {
+  name = 'ToolRegistryError';
+}
+
+/**
+ * Holds all of the tool types, loaded from JSON definitions. Item names are
+ * resolved with the lookup passed in.
+ *
+ * This module is DOM free, the models are loaded by the ModelLoader.
+ */
+export class ToolRegistry {
+  /**
+   * @type {(ToolDefinition & { itemId: number | null })[]}
+   */
+  all = [];
+
+  /**
+   * Tool definitions keyed by name
+   * @type {{ [name: string]: ToolDefinition & { itemId: number | null } }}
+   */
+  byName = {};
+
+  /**
+   * @param {{ tools: ToolDefinition[] }} definitions
+   * @param {(name: string) => number | undefined} lookup Returns the id of the item called 'name'
+   * @throws {ToolRegistryError} If any of the definitions are invalid
+   */
+  constructor(definitions, lookup) {
+    const errors = validate(definitions, lookup);
+    if (errors.length > 0) {
+      throw new ToolRegistryError(`Invalid tool definitions:\n${errors.join('\n')}`);
+    }
+
+    for (const definition of definitions.tools) {
+      const tool = {
+        effectiveness: {},
+        ...definition,
+        animation: { cycles: 1, rotation: {}, position: {}, ...definition.animation },
+        itemId: definition.item ? lookup(definition.item) : null
+      };
+      this.all.push(tool);
+      this.byName[tool.name] = tool;
+    }
+
+    this.hand = this.all.find((tool) => tool.itemId === null);
+  }
+
+  /**
+   * Returns the tool used while holding the item 'itemId', which is the
+   * hand for anything that isn't a tool
+   * @param {number} itemId
+   * @returns {ToolDefinition & { itemId: number | null }}
+   */
+  getTool(itemId) {
+    return this.all.find((tool) => tool.itemId === itemId) ?? this.hand;
+  }
+}
+
+/**
+ * Checks the tool definitions for mistakes
+ * @param {{ tools: ToolDefinition[] }} definitions
+ * @param {(name: string) => number | undefined} lookup
+ * @returns {string[]} A description of each problem found
+ */
+function validate(definitions, lookup) {
+  if (!Array.isArray(definitions?.tools)) {
+    return ['"tools" must be an array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  const items = new Set();
+
+  for (const tool of definitions.tools) {
+    const label = `tool '${tool.name}'`;
+
+    if (typeof tool.name !== 'string' || tool.name.length === 0) {
+      errors.push(`${label}: missing name`);
+    } else if (names.has(tool.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(tool.name);
+    }
+
+    if (tool.item !== undefined) {
+      if (lookup(tool.item) === undefined) {
+        errors.push(`${label}: unknown item '${tool.item}'`);
+      } else if (items.has(tool.item)) {
+        errors.push(`${label}: item '${tool.item}' is already another tool`);
+      }
+      items.add(tool.item);
+    }
+
+    if (tool.model !== undefined && typeof tool.model !== 'string') {
+      errors.push(`${label}: model must be a path`);
+    }
+
+    const fallbackValid = Array.isArray(tool.fallback) && tool.fallback.every((part) => (
+      [part.size, part.position].every((vector) => Array.isArray(vector) && vector.length === 3 && vector.every(Number.isFinite)) &&
+      typeof part.color === 'string'
+    ));
+    if (!fallbackValid) {
+      errors.push(`${label}: fallback must be a list of { size, position, color } boxes`);
+    }
+
+    const animation = tool.animation;
+    if (!ANIMATION_CURVES.includes(animation?.curve)) {
+      errors.push(`${label}: animation curve must be one of ${ANIMATION_CURVES.join(', ')}`);
+    }
+    if (!(animation?.duration > 0)) {
+      errors.push(`${label}: animation needs a positive duration`);
+    }
+
+    if (tool.effectiveness !== undefined && !Object.values(tool.effectiveness).every((speed) => speed > 0)) {
+      errors.push(`${label}: effectiveness must be positive`);
+    }
+  }
+
+  if (definitions.tools.filter((tool) => tool.item === undefined).length !== 1) {
+    errors.push('there must be exactly one tool without an item (the hand)');
+  }
+
+  return errors;
+}
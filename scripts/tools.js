@@ -1,58 +1,128 @@
 import * as THREE from 'three';
+import definitions from './tools.json';
+import { ToolRegistry } from './toolRegistry';
+import { blocks } from './blocks';
 
+/**
+ * All of the tool types, loaded from tools.json
+ */
+export const toolRegistry = new ToolRegistry(definitions, (name) => blocks[name]?.id);
+
+/**
+ * How far along its motion the tool is, from -1 to 1, for 't' cycles
+ * into the animation
+ */
+const curves = {
+  // Back and forth
+  swing: (t) => Math.sin(t * Math.PI * 2),
+  // Away and back, always to the same side
+  chop: (t) => Math.abs(Math.sin(t * Math.PI)),
+  // Straight out and straight back
+  thrust: (t) => 1 - Math.abs(2 * (t % 1) - 1)
+};
+
+/**
+ * The tool held in first person. Shows the model of the active tool and
+ * plays its animation while it's being used.
+ */
 export class Tool extends THREE.Group {
   // Whether or not the tool is currently animating
   animate = false;
-  // Amplitude of the tool animation
-  animationAmplitude = 0.5;
-  // Duration of the animation
-  animationDuration = 750;
   // Start time for the animation
   animationStart = 0;
-  // Speed of the tool animation in rad/s
-  animationSpeed = 0.025;
-  // Currently active animation
-  animation = undefined;
+  // The tool being held
+  tool = toolRegistry.hand;
   // The 3D mesh of the actual tool
   toolMesh = undefined;
+  // The meshes of every tool, keyed by tool name
+  meshes = {};
+
+  constructor() {
+    super();
+
+    this.position.set(0.6, -0.3, -0.5);
+    this.scale.set(0.5, 0.5, 0.5);
+    this.rotation.z = Math.PI / 2;
+    this.rotation.y = Math.PI + 0.2;
+  }
 
   get animationTime() {
     return performance.now() - this.animationStart;
   }
 
+  /**
+   * Plays the tool's animation once, unless it's already playing
+   */
   startAnimation() {
     if (this.animate) return;
 
     this.animate = true;
     this.animationStart = performance.now();
-
-    clearTimeout(this.animation);
-      
-    this.animation = setTimeout(() => {
-      this.animate = false;
-      this.toolMesh.rotation.y = 0;
-    }, this.animationDuration);
   }
 
   /**
    * Updates the tool animation state
    */
   update() {
-    if (this.animate && this.toolMesh) {
-      this.toolMesh.rotation.y = this.animationAmplitude * Math.sin(this.animationTime * this.animationSpeed);
+    if (!this.animate || !this.toolMesh) return;
+
+    const { curve, duration, cycles, rotation, position } = this.tool.animation;
+    const progress = this.animationTime / duration;
+
+    if (progress >= 1) {
+      this.stopAnimation();
+      return;
     }
+
+    const offset = curves[curve](progress * cycles);
+    this.toolMesh.rotation.set((rotation.x ?? 0) * offset, (rotation.y ?? 0) * offset, (rotation.z ?? 0) * offset);
+    this.toolMesh.position.set((position.x ?? 0) * offset, (position.y ?? 0) * offset, (position.z ?? 0) * offset);
+  }
+
+  stopAnimation() {
+    this.animate = false;
+    this.toolMesh?.rotation.set(0, 0, 0);
+    this.toolMesh?.position.set(0, 0, 0);
   }
-  setMesh(mesh) {
+
+  /**
+   * Sets the models of the tools, keyed by tool name
+   * @param {{ [name: string]: THREE.Object3D }} meshes
+   */
+  setMeshes(meshes) {
     this.clear();
 
-    this.toolMesh = mesh;
-    this.add(this.toolMesh);
-    mesh.receiveShadow = true;
-    mesh.castShadow = true;
+    this.meshes = meshes;
+    for (const mesh of Object.values(meshes)) {
+      mesh.traverse((object) => {
+        object.receiveShadow = true;
+        object.castShadow = true;
+      });
+      mesh.visible = false;
+      this.add(mesh);
+    }
 
-    this.position.set(0.6, -0.3, -0.5);
-    this.scale.set(0.5, 0.5, 0.5);
-    this.rotation.z = Math.PI / 2;
-    this.rotation.y = Math.PI + 0.2;
+    this.toolMesh = undefined;
+    this.setTool(this.tool, true);
+  }
+
+  /**
+   * Switches to holding 'tool'
+   * @param {import('./toolRegistry').ToolDefinition} tool
+   * @param {boolean} force Switch even if the tool is already held
+   */
+  setTool(tool, force = false) {
+    if (tool === this.tool && !force) return;
+
+    this.stopAnimation();
+    if (this.toolMesh) {
+      this.toolMesh.visible = false;
+    }
+
+    this.tool = tool;
+    this.toolMesh = this.meshes[tool.name];
+    if (this.toolMesh) {
+      this.toolMesh.visible = true;
+    }
   }
 }
@@ -1,5 +1,171 @@
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
-import { resources } from './blocks';
+import { blocks, blockRegistry, resources } from './blocks';
+import { applyTextures, blockMaterial } from './blockMaterials';
+import { readResourcePack } from './resourcePack';
+
+/**
+ * Fills the toolbar with the player's hotbar slots, followed by the hand
+ * (slot 0 on the keyboard), and keeps the counts up to date
+ * @param {import('./player').Player} player
+ */
+export function createToolbar(player) {
+  const toolbar = document.getElementById('toolbar');
+  const { inventory } = player;
+
+  const slots = [];
+  for (let slot = 0; slot < inventory.hotbarSize; slot++) {
+    slots.push(createSlot(`toolbar-slot-${slot}`));
+  }
+  const hand = createSlot('toolbar-slot-hand');
+  renderSlot(hand, { blockId: blocks.empty.id, count: 1 });
+
+  toolbar.append(...slots, hand);
+  document.getElementById(`toolbar-slot-${player.activeSlot ?? 'hand'}`).classList.add('selected');
+
+  const update = () => slots.forEach((element, slot) => renderSlot(element, inventory.getStack(slot)));
+  inventory.onChange(update);
+  update();
+}
+
+/**
+ * Sets up the inventory screen, toggled with E. Clicking a slot picks up
+ * its stack, clicking another slot puts it down there (merging or swapping
+ * with what's already there). Items put in the crafting grid can be
+ * crafted by clicking the result slot.
+ * @param {import('./player').Player} player
+ */
+export function createInventoryScreen(player) {
+  const screen = document.getElementById('inventory');
+  const { inventory, craftingGrid } = player;
+
+  // The hotbar goes along the bottom, like the toolbar
+  const order = [];
+  for (let slot = inventory.hotbarSize; slot < inventory.slots.length; slot++) {
+    order.push(slot);
+  }
+  for (let slot = 0; slot < inventory.hotbarSize; slot++) {
+    order.push(slot);
+  }
+
+  /**
+   * The slot whose stack has been picked up, if any
+   * @type {{ container: import('./inventory').Inventory, slot: number } | null}
+   */
+  let held = null;
+  const elements = [];
+
+  const addSlot = (parent, container, slot, id) => {
+    const element = createSlot(id);
+    element.addEventListener('click', () => {
+      if (held === null) {
+        if (container.getStack(slot)) held = { container, slot };
+      } else {
+        held.container.transfer(held.slot, container, slot);
+        held = null;
+      }
+      update();
+    });
+    elements.push({ element, container, slot });
+    parent.appendChild(element);
+    return element;
+  };
+
+  const grid = document.getElementById('inventory-grid');
+  for (const slot of order) {
+    const element = addSlot(grid, inventory, slot, `inventory-slot-${slot}`);
+    element.classList.toggle('hotbar', slot < inventory.hotbarSize);
+  }
+
+  const craftingElement = document.getElementById('crafting-grid');
+  for (let slot = 0; slot < craftingGrid.slots.length; slot++) {
+    addSlot(craftingElement, craftingGrid, slot, `crafting-slot-${slot}`);
+  }
+
+  const result = createSlot('crafting-result-slot');
+  result.addEventListener('click', () => {
+    if (held === null) player.craft();
+  });
+  document.getElementById('crafting-result').appendChild(result);
+
+  const update = () => {
+    for (const { element, container, slot } of elements) {
+      renderSlot(element, container.getStack(slot));
+      element.classList.toggle('selected', held?.container === container && held.slot === slot);
+    }
+    renderSlot(result, player.craftingRecipe?.result ?? null);
+  };
+
+  inventory.onChange(update);
+  craftingGrid.onChange(update);
+  update();
+
+  document.addEventListener('keydown', (event) => {
+    if (event.code !== 'KeyE') return;
+
+    player.inventoryOpen = !player.inventoryOpen;
+    screen.classList.toggle('hidden', !player.inventoryOpen);
+    held = null;
+
+    if (player.inventoryOpen) {
+      player.controls.unlock();
+    } else {
+      // Don't leave anything behind in the crafting grid
+      player.emptyCraftingGrid();
+      player.controls.lock();
+    }
+    update();
+  });
+}
+
+/**
+ * Keyboard shortcuts for saving/loading the world and undoing/redoing edits
+ * @param {import('./world').World} world
+ */
+export function createWorldControls(world) {
+  document.addEventListener('keydown', (event) => {
+    switch (event.code) {
+      case 'KeyU':
+        world.save().then(
+          () => showStatus('GAME SAVED'),
+          (error) => {
+            console.error(error);
+            showStatus(`SAVE FAILED: ${error.message}`);
+          }
+        );
+        break;
+      case 'KeyL':
+        loadWorld(world);
+        break;
+      case 'KeyZ':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault();
+          event.shiftKey ? world.redo() : world.undo();
+        }
+        break;
+      case 'KeyY':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault();
+          world.redo();
+        }
+        break;
+    }
+  });
+}
+
+/**
+ * Loads the saved world, letting the player know if there was one
+ * @param {import('./world').World} world
+ */
+export async function loadWorld(world) {
+  try {
+    if (await world.load()) {
+      showStatus('GAME LOADED');
+    }
+  } catch (error) {
+    console.error(error);
+    showStatus(`LOAD FAILED: ${error.message}`);
+  }
+}
 
 export function createUI(scene, world, player) {
   const gui = new GUI();
@@ -7,6 +173,14 @@ export function createUI(scene, world, player) {
   const sceneFolder = gui.addFolder('Scene');
   sceneFolder.add(scene.fog, 'near', 1, 200, 1).name('Fog Near');
   sceneFolder.add(scene.fog, 'far', 1, 200, 1).name('Fog Far');
+  sceneFolder.add(blockMaterial, 'vertexColors').name('Ambient Occlusion').onChange(() => {
+    blockMaterial.needsUpdate = true;
+  });
+
+  const timeFolder = gui.addFolder('Time');
+  timeFolder.add(world.clock, 'time', 0, 1, 0.001).name('Time of Day').listen();
+  timeFolder.add(world.clock, 'speed', 0, 50).name('Time Speed');
+  timeFolder.add(world.clock, 'dayLength', 60, 3600, 1).name('Day Length (s)');
 
   const playerFolder = gui.addFolder('Player');
   playerFolder.add(player, 'maxSpeed', 1, 20).name('Max Speed');
@@ -14,13 +188,20 @@ export function createUI(scene, world, player) {
 
   
   const terrainFolder = gui.addFolder('Terrain');
-  terrainFolder.add(world, 'asyncLoading', 0, 5, 1).name('Async Chunk Loading');
-  terrainFolder.add(world, 'drawDistance', 0, 5, 1).name('Draw Distance');
-  terrainFolder.add(world.params, 'seed', 0,10000).name('Seed');
+  const loadingControllers = [
+    terrainFolder.add(world, 'asyncLoading', 0, 5, 1).name('Async Chunk Loading'),
+    terrainFolder.add(world, 'drawDistance', 0, 5, 1).name('Draw Distance')
+  ];
+  // A text field, so any string can be a seed. Only regenerate once it's been typed in.
+  const seed = {
+    get value() { return String(world.params.seed); },
+    set value(text) { world.params.seed = text; }
+  };
+  const seedController = terrainFolder.add(seed, 'value').name('Seed').onFinishChange(() => world.generate());
   terrainFolder.add(world.params.terrain, 'scale', 10, 100).name('Scale');
-  terrainFolder.add(world.params.terrain,'magnitude', 0, 32, 1).name('Magnitude');
-  terrainFolder.add(world.params.terrain, 'offset', 0, 32, 1).name('Offset');
-  terrainFolder.add(world.params.terrain, 'waterOffset', 0, 32, 1).name('Water Offset');
+  terrainFolder.add(world.params.terrain,'magnitude', 0, 128, 1).name('Magnitude');
+  terrainFolder.add(world.params.terrain, 'offset', 0, world.worldHeight, 1).name('Offset');
+  terrainFolder.add(world.params.terrain, 'waterOffset', 0, world.worldHeight, 1).name('Water Offset');
 
   const biomesFolder = gui.addFolder('Biomes');
   biomesFolder.add(world.params.biomes, 'scale', 10, 500).name('Scale');
@@ -32,14 +213,28 @@ export function createUI(scene, world, player) {
 
   const resourcesFolder = terrainFolder.addFolder('Resources');
 
-  resources.forEach(resource => {
-    const resourceFolder = resourcesFolder.addFolder(resource.name);
-    resourceFolder.add(resource, 'scarcity', 0, 1).name('Scarcity');
+  const topsoilFolder = resourcesFolder.addFolder('Topsoil Depth');
+  for (const biome of Object.keys(world.params.topsoil)) {
+    topsoilFolder.add(world.params.topsoil, biome, 0, 20, 1).name(biome);
+  }
+
+  resources.forEach(block => {
+    const resourceFolder = resourcesFolder.addFolder(block.name);
+    resourceFolder.add(block.resource, 'scarcity', 0, 1).name('Scarcity');
+    resourceFolder.add(block.resource, 'minY', 0, world.worldHeight - 1, 1).name('Min Height');
+    resourceFolder.add(block.resource, 'maxY', 0, world.worldHeight - 1, 1).name('Max Height');
 
-    const scaleFolder = resourceFolder.addFolder('Scale');
-    scaleFolder.add(resource.scale, 'x', 10, 100).name('X Scale');
-    scaleFolder.add(resource.scale, 'y', 10, 100).name('Y Scale');
-    scaleFolder.add(resource.scale, 'z', 10, 100).name('Z Scale');
+    const scaleFolder = resourceFolder.addFolder('Vein Size');
+    scaleFolder.add(block.resource.scale, 'x', 2, 100).name('X Scale');
+    scaleFolder.add(block.resource.scale, 'y', 2, 100).name('Y Scale');
+    scaleFolder.add(block.resource.scale, 'z', 2, 100).name('Z Scale');
+
+    if (block.resource.biomes) {
+      const biomesFolder = resourceFolder.addFolder('Biome Multiplier');
+      for (const biome of Object.keys(block.resource.biomes)) {
+        biomesFolder.add(block.resource.biomes, biome, 0, 3).name(biome);
+      }
+    }
   })
 
   const treesFolder = terrainFolder.addFolder('Trees').close();
@@ -50,11 +245,183 @@ export function createUI(scene, world, player) {
   treesFolder.add(world.params.trees.canopy, 'maxRadius', 0, 10, 1).name('Max Canopy Size');
   treesFolder.add(world.params.trees.canopy, 'density', 0, 1).name('Canopy Density');
 
+  const cavesFolder = terrainFolder.addFolder('Caves').close();
+  cavesFolder.add(world.params.caves, 'tunnelScale', 10, 100).name('Tunnel Scale');
+  cavesFolder.add(world.params.caves, 'tunnelSize', 0, 0.2).name('Tunnel Size');
+  cavesFolder.add(world.params.caves, 'verticalScale', 0.1, 2).name('Vertical Scale');
+  cavesFolder.add(world.params.caves, 'cavernScale', 10, 200).name('Cavern Scale');
+  cavesFolder.add(world.params.caves, 'cavernThreshold', 0, 0.99).name('Cavern Threshold');
+  cavesFolder.add(world.params.caves, 'surfaceDepth', 0, 20, 1).name('Surface Depth');
+  cavesFolder.add(world.params.caves, 'minHeight', 0, world.worldHeight, 1).name('Min Height');
+  cavesFolder.add(world.params.caves, 'wallThickness', 0, 2).name('Wall Thickness');
+  cavesFolder.add(world.params.caves, 'oreBonus', 0, 0.5).name('Ore Bonus on Walls');
+  cavesFolder.add(world.params.caves.ravines, 'frequency', 0, 1).name('Ravine Frequency');
+  cavesFolder.add(world.params.caves.ravines, 'scale', 10, 500).name('Ravine Scale');
+  cavesFolder.add(world.params.caves.ravines, 'width', 0, 0.2).name('Ravine Width');
+  cavesFolder.add(world.params.caves.ravines, 'depth', 0, 100, 1).name('Ravine Depth');
+
   const cloudsFolder = terrainFolder.addFolder('Clouds').close();
   cloudsFolder.add(world.params.clouds, 'scale', 0, 100).name('Cloud Size');
   cloudsFolder.add(world.params.clouds, 'density', 0, 1).name('Cloud Cover');
+  cloudsFolder.add(world.params.clouds, 'height', 0, world.worldHeight - 1, 1).name('Cloud Height');
+
+  const worldFolder = gui.addFolder('World');
+  worldFolder.add({ newWorld: () => newWorld(world) }, 'newWorld').name('New World');
+  worldFolder.add({ exportWorld: () => exportWorld(world, player) }, 'exportWorld').name('Export World');
+  worldFolder.add({ importWorld: () => importWorld(world, player) }, 'importWorld').name('Import World');
+
+  const texturesFolder = gui.addFolder('Textures').close();
+  texturesFolder.add({ loadFolder: () => loadResourcePack(true) }, 'loadFolder').name('Load Resource Pack (Folder)');
+  texturesFolder.add({ loadZip: () => loadResourcePack(false) }, 'loadZip').name('Load Resource Pack (Zip)');
+  texturesFolder.add({ reset: () => applyTextures() }, 'reset').name('Default Textures');
+
+  // Changing these doesn't need the world to be regenerated
+  const displayOnly = [
+    ...sceneFolder.controllers,
+    ...timeFolder.controllers,
+    ...playerFolder.controllers,
+    ...loadingControllers,
+    seedController,
+    ...worldFolder.controllers,
+    ...texturesFolder.controllers
+  ];
 
-  gui.onChange(() => {
-    world.generate(true);
+  gui.onChange(({ controller }) => {
+    if (displayOnly.includes(controller)) return;
+    world.generate();
   })
+}
+
+/**
+ * Creates an empty inventory slot
+ * @param {string} id
+ * @returns {HTMLDivElement}
+ */
+function createSlot(id) {
+  const element = document.createElement('div');
+  element.className = 'item-slot';
+  element.id = id;
+
+  const icon = document.createElement('img');
+  icon.className = 'item-icon';
+  const count = document.createElement('span');
+  count.className = 'item-count';
+
+  element.append(icon, count);
+  return element;
+}
+
+/**
+ * Shows 'stack' in a slot created by createSlot()
+ * @param {HTMLDivElement} element
+ * @param {import('./inventory').ItemStack | null} stack
+ */
+function renderSlot(element, stack) {
+  const [icon, count] = element.children;
+  const block = stack && blockRegistry.get(stack.blockId);
+  const src = stack && blockRegistry.getIcon(stack.blockId);
+
+  icon.hidden = !src;
+  if (src) {
+    icon.src = src;
+    icon.alt = block.name;
+  }
+  // Blocks without textures are shown as their color
+  element.style.backgroundColor = !src && block?.color ? block.color : '';
+  count.textContent = stack && stack.count > 1 ? stack.count : '';
+  element.title = block && block.id !== blocks.empty.id ? block.name : '';
+}
+
+/**
+ * Deletes the saved world and starts over, once the player has confirmed it
+ * @param {import('./world').World} world
+ */
+async function newWorld(world) {
+  if (!window.confirm('Delete the saved world and start a new one?')) return;
+
+  try {
+    await world.newWorld();
+    showStatus('NEW WORLD');
+  } catch (error) {
+    console.error(error);
+    showStatus(`NEW WORLD FAILED: ${error.message}`);
+  }
+}
+
+/**
+ * Downloads the world as a binary world file
+ * @param {import('./world').World} world
+ * @param {import('./player').Player} player
+ */
+async function exportWorld(world, player) {
+  try {
+    const buffer = await world.exportWorld(player);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+    link.download = `world-${world.params.seed}.mcworld`;
+    link.click();
+    // Some browsers only start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (error) {
+    console.error(error);
+    showStatus(`EXPORT FAILED: ${error.message}`);
+  }
+}
+
+/**
+ * Asks the user for a world file and loads it
+ * @param {import('./world').World} world
+ * @param {import('./player').Player} player
+ */
+function importWorld(world, player) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.mcworld';
+  input.onchange = async () => {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+      await world.importWorld(await file.arrayBuffer(), player);
+      showStatus('WORLD IMPORTED');
+    } catch (error) {
+      console.error(error);
+      showStatus(`IMPORT FAILED: ${error.message}`);
+    }
+  };
+  input.click();
+}
+
+/**
+ * Asks the user for a resource pack and swaps the block textures with it
+ * @param {boolean} folder Whether to pick a folder instead of a zip file
+ */
+function loadResourcePack(folder) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  if (folder) {
+    input.webkitdirectory = true;
+  } else {
+    input.accept = '.zip';
+  }
+  input.onchange = async () => {
+    const files = [...input.files];
+    if (files.length === 0) return;
+
+    try {
+      const images = await readResourcePack(files);
+      applyTextures(images);
+      showStatus(`RESOURCE PACK LOADED (${Object.keys(images).length} TEXTURES)`);
+    } catch (error) {
+      console.error(error);
+      showStatus(`RESOURCE PACK FAILED: ${error.message}`);
+    }
+  };
+  input.click();
+}
+
+export function showStatus(message) {
+  document.getElementById('status').innerHTML = message;
+  setTimeout(() => document.getElementById('status').innerHTML = '', 3000);
 }
\ No newline at end of file
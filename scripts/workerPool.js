@@ -0,0 +1,150 @@
+/**
+ * A fixed size pool of chunk workers. Jobs are queued and handed to the
+ * next idle worker; results for cancelled jobs are discarded.
+ *
+ * If a worker fails, its job fails with it and the worker is replaced.
+ * Workers that fail before finishing a single job (e.g. the script didn't
+ * load) aren't replaced, since a new one would most likely fail too.
+ *
+ * @typedef {{ id: number, message: object, onComplete: Function | null, onError: Function | null, worker?: Worker }} Job
+ */
+export class WorkerPool {
+  /**
+   * @type {Worker[]}
+   */
+  idleWorkers = [];
+
+  /**
+   * Jobs waiting for a free worker
+   * @type {Job[]}
+   */
+  queue = [];
+
+  /**
+   * Jobs currently being processed, keyed by job id
+   * @type {Map<number, Job>}
+   */
+  activeJobs = new Map();
+
+  /**
+   * Workers that have finished at least one job
+   * @type {WeakSet<Worker>}
+   */
+  provenWorkers = new WeakSet();
+
+  nextJobId = 0;
+
+  /**
+   * @param {number} size Number of workers in the pool
+   */
+  constructor(size = navigator.hardwareConcurrency || 4) {
+    this.workers = [];
+    for (let i = 0; i < size; i++) {
+      this.addWorker();
+    }
+  }
+
+  /**
+   * Starts a new worker and adds it to the pool
+   */
+  addWorker() {
+    const worker = new Worker(new URL('./chunkWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => this.onMessage(worker, event.data);
+    worker.onerror = (event) => {
+      // Handled here, so it doesn't end up as an uncaught error as well
+      event.preventDefault();
+      this.onError(worker, new Error(`Chunk worker failed: ${event.message}`));
+    };
+    worker.onmessageerror = () => {
+      this.onError(worker, new Error("Couldn't read the result of the chunk worker"));
+    };
+    this.workers.push(worker);
+    this.idleWorkers.push(worker);
+  }
+
+  /**
+   * Queues a new job for the workers
+   * @param {object} message Data posted to the worker
+   * @param {(data: any) => void} onComplete Called with the worker's result
+   * @param {(error: Error) => void} [onError] Called instead if the job failed
+   * @returns {number} The id of the job, used to cancel it
+   */
+  run(message, onComplete, onError = null) {
+    const job = { id: this.nextJobId++, message, onComplete, onError };
+    this.queue.push(job);
+    this.dispatch();
+    return job.id;
+  }
+
+  /**
+   * Cancels a job. Queued jobs are dropped, while jobs that are already
+   * running have their result discarded when it arrives.
+   * @param {number} jobId
+   */
+  cancel(jobId) {
+    this.queue = this.queue.filter((job) => job.id !== jobId);
+
+    const job = this.activeJobs.get(jobId);
+    if (job) {
+      job.onComplete = null;
+      job.onError = null;
+    }
+  }
+
+  /**
+   * Hands queued jobs to any idle workers
+   */
+  dispatch() {
+    while (this.queue.length > 0 && this.idleWorkers.length > 0) {
+      const job = this.queue.shift();
+      const worker = this.idleWorkers.pop();
+      job.worker = worker;
+      this.activeJobs.set(job.id, job);
+      worker.postMessage({ jobId: job.id, ...job.message });
+    }
+  }
+
+  onMessage(worker, data) {
+    const job = this.activeJobs.get(data.jobId);
+    this.activeJobs.delete(data.jobId);
+    this.idleWorkers.push(worker);
+    this.provenWorkers.add(worker);
+
+    if (job && job.onComplete) {
+      job.onComplete(data);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Fails the job 'worker' was running and replaces the worker, which may
+   * not be in a state to take on any more jobs
+   * @param {Worker} worker
+   * @param {Error} error
+   */
+  onError(worker, error) {
+    const failed = [...this.activeJobs.values()].filter((job) => job.worker === worker);
+    for (const job of failed) {
+      this.activeJobs.delete(job.id);
+    }
+
+    worker.terminate();
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idleWorkers = this.idleWorkers.filter((w) => w !== worker);
+    if (this.provenWorkers.has(worker)) {
+      this.addWorker();
+    }
+
+    // Without any workers left, the queued jobs would never run
+    if (this.workers.length === 0) {
+      failed.push(...this.queue);
+      this.queue = [];
+    }
+
+    for (const job of failed) {
+      job.onError?.(error);
+    }
+    this.dispatch();
+  }
+}
@@ -1,6 +1,21 @@
 import * as THREE from 'three';
 import { WorldChunk } from './worldChunk';
 import { DataStore } from './dataStore';
+import { WorkerPool } from './workerPool';
+import { readWorldFile, writeWorldFile } from './worldFile';
+import { EditHistory } from './editHistory';
+import { FluidSimulation } from './fluidSimulation';
+import { FallingBlocks } from './fallingBlocks';
+import { WorldClock } from './worldClock';
+import { Lighting } from './lighting';
+import { Entities } from './entities';
+import { blocks, blockRegistry, getResourceSettings } from './blocks';
+import { CHUNK_SIZE, GENERATOR_VERSION, WORLD_HEIGHT, createWorldParams, loadParams } from './generation';
+
+// How many times a chunk is loaded before giving up on it, waiting twice as
+// long before each retry
+const MAX_CHUNK_ATTEMPTS = 5;
+const CHUNK_RETRY_DELAY = 1000;
 
 export class World extends THREE.Group {
 
@@ -19,184 +34,447 @@ export class World extends THREE.Group {
 
   drawDistance = 3;
 
-  chunkSize = {
-    width: 24,
-    height: 32
-  };
-
-  params = {
-    seed: 0,
-    terrain: {
-      scale: 80,
-      magnitude: 10,
-      offset: 5,
-      waterOffset: 3
-    },
-    biomes: {
-      scale: 200,
-      variation: {
-        amplitude: 0.2,
-        scale: 50
-      },
-      tundraToTemperate: 0.25,
-      temperateToJungle: 0.5,
-      jungleToDesert: 0.75,
-    },
-    trees: {
-      trunk: {
-        minHeight: 4,
-        maxHeight: 7
-      },
-      canopy: {
-        minRadius: 2,
-        maxRadius: 4,
-        density: 0.5
-      },
-      frequency: 0.01
-    },
-    clouds: {
-      scale: 30,
-      density: 0.5
-    }
-  };
+  /**
+   * Size of each chunk section. Chunk columns are split into sections
+   * stacked on top of each other, keyed by (x, y, z).
+   */
+  chunkSize = { ...CHUNK_SIZE };
+
+  /**
+   * Height of the world in blocks. Must be a multiple of chunkSize.height.
+   */
+  worldHeight = WORLD_HEIGHT;
+
+  /**
+   * World generation parameters, edited through the GUI
+   */
+  params = createWorldParams();
 
   dataStore = new DataStore();
 
-  constructor(seed = 0) {
+  /**
+   * Undo/redo history of the blocks added and removed by the player, and the
+   * items they got and used up doing so
+   */
+  history = new EditHistory((x, y, z, blockId) => {
+    // Undoing and redoing are edits too, as far as other players are concerned
+    this.multiplayer?.blockEdited(x, y, z, this.getBlockId(x, y, z), blockId);
+    this.setBlock(x, y, z, blockId);
+  }, () => this.player?.inventory ?? null);
+
+  /**
+   * Spreads water into the empty blocks around it
+   */
+  fluids = new FluidSimulation(this);
+
+  /**
+   * Sand and gravel that are falling after losing their support. This
+   * isn't a child of the world, add it to the scene to see it.
+   */
+  fallingBlocks = new FallingBlocks(this);
+
+  /**
+   * Sky light and block light levels, used to shade the chunk meshes
+   */
+  lighting = new Lighting(this);
+
+  /**
+   * Time of day, drives the day/night cycle
+   */
+  clock = new WorldClock();
+
+  /**
+   * Mobs walking around the loaded chunks
+   */
+  entities = new Entities(this);
+
+  /**
+   * The connection to the multiplayer server, or null when playing alone
+   * @type {import('./multiplayer').Multiplayer | null}
+   */
+  multiplayer = null;
+
+  /**
+   * The player playing in the world, whose inventory is saved with it
+   * @type {import('./player').Player | null}
+   */
+  player = null;
+
+  /**
+   * Pool of workers that generate the chunk data off the main thread
+   */
+  workerPool = new WorkerPool();
+
+  /**
+   * Every chunk section in the world, loaded or not, keyed by 'x,y,z'
+   * @type {Map<string, WorldChunk>}
+   */
+  chunks = new Map();
+
+  /**
+   * Chunks that have been requested but aren't loaded yet, keyed by 'x,y,z'.
+   * 'jobId' is the worker job generating the chunk, or null while the
+   * player changes for the chunk are still being read from storage.
+   * @type {Map<string, { chunk: WorldChunk, jobId: number | null }>}
+   */
+  pendingChunks = new Map();
+
+  /**
+   * Chunks that failed to load, keyed by 'x,y,z'. They aren't requested
+   * again before 'retryAt' (a performance.now() time), and never once
+   * they failed MAX_CHUNK_ATTEMPTS times.
+   * @type {Map<string, { attempts: number, retryAt: number }>}
+   */
+  failedChunks = new Map();
+
+  /**
+   * Called when a chunk failed to load too many times and is given up on
+   * @type {(key: string, error: any) => void}
+   */
+  onChunkFailed = () => {};
+
+  constructor() {
     super();
-    this.seed = seed;
-
-    document.addEventListener('keydown', (ev) => {
-      switch (ev.code) {
-        case 'KeyU':
-          this.save();
-          break;
-        case 'KeyL':
-          this.load();
-          break;
-      }
-    })
+    this.dataStore.startAutoSave();
+  }
+
+  /**
+   * Switches to another data store, e.g. the multiplayer server's. Anything
+   * unsaved in the current one is saved first, and only the new one is
+   * autosaved from now on.
+   * @param {DataStore} dataStore
+   */
+  setDataStore(dataStore) {
+    this.dataStore.stopAutoSave();
+    this.dataStore.save().catch((error) => console.error('Failed to save world', error));
+    this.dataStore = dataStore;
+    this.dataStore.startAutoSave();
   }
 
   /**
-   * Saves the world data to local storage
+   * Saves the world params, the time of day, the player's inventory and
+   * any unsaved player changes
    */
-  save() {
-    localStorage.setItem('minecraft_params', JSON.stringify(this.params));
-    localStorage.setItem('minecraft_data', JSON.stringify(this.dataStore.data));
-    document.getElementById('status').innerHTML = 'GAME SAVED';
-    setTimeout(() => document.getElementById('status').innerHTML = '', 3000);
+  async save() {
+    await this.dataStore.saveMeta('params', this.params);
+    await this.dataStore.saveMeta('time', this.clock.time);
+    if (this.player) {
+      await this.dataStore.saveMeta('inventory', this.player.inventory.toJSON());
+    }
+    await this.dataStore.save();
   }
 
   /**
-   * Loads the world data from local storage
+   * Loads the saved world params, time and inventory and regenerates the
+   * world. The player changes are read lazily as each chunk is generated.
+   * @returns {Promise<boolean>} Whether there was a saved world to load
    */
-  load() {
-    this.params = JSON.parse(localStorage.getItem('minecraft_params'));
-    this.dataStore.data = JSON.parse(localStorage.getItem('minecraft_data'));
-    document.getElementById('status').innerHTML = 'GAME LOADED';
-    setTimeout(() => document.getElementById('status').innerHTML = '', 3000);
+  async load() {
+    if (!this.multiplayer) {
+      await importLocalStorageSave(this.dataStore);
+    }
+
+    const params = await this.dataStore.loadMeta('params');
+    const time = await this.dataStore.loadMeta('time');
+    const inventory = await this.dataStore.loadMeta('inventory');
+    this.dataStore.reset();
+
+    if (typeof time === 'number') {
+      this.clock.time = time;
+    }
+
+    if (inventory && this.player) {
+      this.player.inventory.load(inventory);
+    }
+
+    if (params) {
+      loadParams(this.params, params);
+    }
+
     this.generate();
+    return Boolean(params);
+  }
+
+  /**
+   * Exports the world params, the player's position and all of the
+   * player's changes as a binary world file
+   * @param {import('./player').Player} player
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async exportWorld(player) {
+    const chunks = await this.dataStore.getSavedChunks();
+
+    return writeWorldFile({
+      params: this.params,
+      chunkSize: this.chunkSize,
+      player: player.position,
+      chunks: chunks.map(({ chunkX, chunkY, chunkZ, changes }) => ({
+        x: chunkX / this.chunkSize.width,
+        y: chunkY / this.chunkSize.height,
+        z: chunkZ / this.chunkSize.width,
+        changes
+      }))
+    });
   }
 
-  generate(clearCache = false) {
-    if (clearCache) {
-      this.dataStore.clear();
+  /**
+   * Replaces the current world with the one stored in a binary world file.
+   * The file is fully validated first, so the current world is left alone
+   * if it turns out to be corrupt.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./player').Player} player
+   * @throws {import('./worldFile').WorldFileError}
+   */
+  async importWorld(buffer, player) {
+    const file = await readWorldFile(buffer);
+
+    await this.dataStore.clear();
+    loadParams(this.params, file.params);
+
+    // The file may use a different chunk size, so go through world coordinates
+    for (const chunk of file.chunks) {
+      for (const change of chunk.changes) {
+        const y = chunk.y * file.chunkSize.height + change.y;
+        if (y >= this.worldHeight) continue;
+
+        const coords = this.worldToChunkCoords(
+          chunk.x * file.chunkSize.width + change.x,
+          y,
+          chunk.z * file.chunkSize.width + change.z
+        );
+
+        this.dataStore.set(
+          coords.chunk.x * this.chunkSize.width,
+          coords.chunk.y * this.chunkSize.height,
+          coords.chunk.z * this.chunkSize.width,
+          coords.block.x,
+          coords.block.y,
+          coords.block.z,
+          change.id
+        );
+      }
     }
+    await this.dataStore.save();
+
+    player.position.set(file.player.x, file.player.y, file.player.z);
+    player.velocity.set(0, 0, 0);
+
+    this.generate();
+  }
+
+  /**
+   * Deletes the saved world, including the player changes and inventory,
+   * and starts a new one with the current params
+   */
+  async newWorld() {
+    await this.dataStore.clear();
+    this.player?.inventory.clear();
+    // Only existing worlds stick to older versions of the generator
+    this.params.version = GENERATOR_VERSION;
+    this.generate();
+  }
+
+  /**
+   * Throws away the chunks and generates them again, e.g. after the params
+   * changed. The player changes (saved or not) are kept and applied to the
+   * new terrain, use newWorld() to delete those.
+   */
+  generate() {
     this.disposeChunks();
+    this.failedChunks.clear();
+    this.history.clear();
+    this.fluids.clear();
+    this.fallingBlocks.reset();
+    this.entities.reset();
+
+    // Keep the saved params in sync with the changes being saved
+    this.dataStore.saveMeta('params', this.params).catch((error) => {
+      console.error('Failed to save the world params', error);
+    });
 
-    for (let x = -this.drawDistance; x <= this.drawDistance; x++) {
-      for (let z = -this.drawDistance; z <= this.drawDistance; z++) {
-        const chunk = new WorldChunk(this.chunkSize, this.params, this.dataStore);
-        chunk.position.set(x * this.chunkSize.width, 0, z * this.chunkSize.width);
-        chunk.userData = { x, z };
-        chunk.generate();
-        this.add(chunk);
-      }
+    // There's no player yet, so start from the sections around the terrain surface
+    const surface = this.worldToChunkCoords(0, this.params.terrain.offset, 0);
+    for (const { x, y, z } of this.getChunksAround(0, surface.chunk.y, 0)) {
+      this.generateChunk(x, y, z);
     }
   }
 
-  update(player) {
+  /**
+   * Loads and unloads chunks around the player and advances the world simulation
+   * @param {number} dt
+   * @param {import('./player').Player} player
+   */
+  update(dt, player) {
+    this.clock.update(dt);
+    this.fluids.update(dt);
+    this.entities.update(dt);
+
     const visibleChunks = this.getVisivleChunks(player);
     const chunkToAdd = this.getChunksToAdd(visibleChunks);
     this.removeUnusedChunks(visibleChunks);
 
     for (const chunk of chunkToAdd) {
-      this.generateChunk(chunk.x, chunk.z);
+      this.generateChunk(chunk.x, chunk.y, chunk.z);
     }
   }
 
   getVisivleChunks(player) {
-    const visibleChunks = [];
-
     const coords = this.worldToChunkCoords(
       player.position.x,
       player.position.y - (player.height / 2),
       player.position.z
     );
 
-    const chunkX = coords.chunk.x;
-    const chunkZ = coords.chunk.z;
+    return this.getChunksAround(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+  }
 
-    for(let x = chunkX - this.drawDistance; x <= chunkX + this.drawDistance; x++) {
-      for(let z = chunkZ - this.drawDistance; z <= chunkZ + this.drawDistance; z++) {
-        visibleChunks.push({x, z});
+  /**
+   * Returns every section of the chunk columns within the draw distance of
+   * the section (chunkX, chunkY, chunkZ), closest first. Vertical distance
+   * counts too, so the sections at the player's height are loaded first.
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {{ x: number, y: number, z: number }[]}
+   */
+  getChunksAround(chunkX, chunkY, chunkZ) {
+    const chunks = [];
+    const sections = this.worldHeight / this.chunkSize.height;
+
+    for (let x = chunkX - this.drawDistance; x <= chunkX + this.drawDistance; x++) {
+      for (let z = chunkZ - this.drawDistance; z <= chunkZ + this.drawDistance; z++) {
+        for (let y = 0; y < sections; y++) {
+          chunks.push({ x, y, z });
+        }
       }
     }
 
-    return visibleChunks;
+    const distance = ({ x, y, z }) => (
+      (x - chunkX) ** 2 + (y - chunkY) ** 2 + (z - chunkZ) ** 2
+    );
+    return chunks.sort((a, b) => distance(a) - distance(b));
   }
 
   getChunksToAdd(visibleChunks) {
-    // Filter down the visible chunks to those not already in the world
-    return visibleChunks.filter((chunk) => {
-      const chunkExists = this.children
-        .map((obj) => obj.userData)
-        .find(({x, z}) => (
-          chunk.x === x && chunk.z === z
-        ));
-
-      return !chunkExists;
-    })
+    // Filter down the visible chunks to those not already in the world,
+    // leaving out the failed ones until it's time to retry them
+    const now = performance.now();
+    return visibleChunks.filter(({ x, y, z }) => {
+      const key = `${x},${y},${z}`;
+      return !this.chunks.has(key) && !(this.failedChunks.get(key)?.retryAt > now);
+    });
   }
 
   removeUnusedChunks(visibleChunks) {
-    // Filter down the visible chunks to those not already in the world
-    const chunksToRemove = this.children.filter((chunk) => {
-      const { x, z } = chunk.userData;
-      const chunkExists = visibleChunks
-        .find((visibleChunks) => (
-          visibleChunks.x === x && visibleChunks.z === z
-        ));
-
-      return !chunkExists;
-    });
+    const visibleKeys = new Set(visibleChunks.map(({ x, y, z }) => `${x},${y},${z}`));
+
+    for (const [key, chunk] of this.chunks) {
+      if (visibleKeys.has(key)) continue;
 
-    for (const chunk of chunksToRemove) {
-      chunk.disposeInstances();
+      const { x, y, z } = chunk.userData;
+      this.cancelChunkRequest(x, y, z);
+      this.entities.chunkUnloaded(chunk);
+      chunk.disposeMeshes();
       this.remove(chunk);
-      // console.log(`Removing chunk at X: ${chunk.userData.x} Z: ${chunk.userData.z}`);
+      this.chunks.delete(key);
+      // console.log(`Removing chunk at X: ${x} Y: ${y} Z: ${z}`);
     }
   }
 
-  generateChunk(x, z) {
-    const chunk = new WorldChunk(this.chunkSize, this.params, this.dataStore);
-        chunk.position.set(x * this.chunkSize.width, 0, z * this.chunkSize.width);
-        chunk.userData = { x, z };
+  generateChunk(x, y, z) {
+    const chunk = new WorldChunk(this.chunkSize, this.params, this.dataStore, this);
+    chunk.position.set(x * this.chunkSize.width, y * this.chunkSize.height, z * this.chunkSize.width);
+    chunk.userData = { x, y, z };
+
+    const key = `${x},${y},${z}`;
+    const request = { chunk, jobId: null };
+    this.pendingChunks.set(key, request);
+    this.chunks.set(key, chunk);
+
+    const failed = (error) => {
+      console.error(`Failed to load chunk ${key}`, error);
+      if (this.pendingChunks.get(key) !== request) return;
+      this.pendingChunks.delete(key);
+      this.chunks.delete(key);
+      this.remove(chunk);
 
-        if (this.asyncLoading) {
-          // Load chunk asynchronously
-          requestIdleCallback(chunk.generate.bind(chunk), { timeout: 1000 });
-        } else {
-          chunk.generate();
-        }
-        this.add(chunk);
-        // console.log(`Adding chunk at X: ${chunk.userData.x} Z: ${chunk.userData.z}`);
+      // Forget about the chunk so it's tried again later, unless it keeps failing
+      const attempts = (this.failedChunks.get(key)?.attempts ?? 0) + 1;
+      if (attempts >= MAX_CHUNK_ATTEMPTS) {
+        this.failedChunks.set(key, { attempts, retryAt: Infinity });
+        this.onChunkFailed(key, error);
+      } else {
+        const retryAt = performance.now() + CHUNK_RETRY_DELAY * 2 ** (attempts - 1);
+        this.failedChunks.set(key, { attempts, retryAt });
+      }
+    };
+    const loaded = () => {
+      this.pendingChunks.delete(key);
+      this.failedChunks.delete(key);
+    };
+
+    // The player's changes for the chunk have to be read from storage before it can be generated
+    this.dataStore.loadChunk(chunk.position.x, chunk.position.y, chunk.position.z).then(() => {
+      // The chunk was unloaded in the meantime
+      if (this.pendingChunks.get(key) !== request) return;
+
+      // Falls back to the main thread if none of the workers could be started
+      if (this.asyncLoading && this.workerPool.workers.length > 0) {
+        // Generate the chunk data in a worker, then build the meshes once it comes back
+        request.jobId = this.workerPool.run(this.getChunkRequest(chunk), ({ data }) => {
+          loaded();
+          chunk.load(data);
+          this.fluids.chunkLoaded(chunk);
+          this.entities.chunkLoaded(chunk);
+        }, failed);
+      } else {
+        chunk.generate();
+        loaded();
+        this.fluids.chunkLoaded(chunk);
+        this.entities.chunkLoaded(chunk);
+      }
+    }).catch(failed);
+
+    this.add(chunk);
+    // console.log(`Adding chunk at X: ${x} Y: ${y} Z: ${z}`);
+  }
+
+  /**
+   * Builds the message sent to the chunk workers to generate 'chunk'
+   * @param {WorldChunk} chunk
+   * @returns {object}
+   */
+  getChunkRequest(chunk) {
+    const { x, y, z } = chunk.position;
+    return {
+      size: this.chunkSize,
+      params: this.params,
+      resources: getResourceSettings(),
+      chunk: chunk.userData,
+      changes: this.dataStore.getChunkChanges(x, y, z)
+    };
+  }
+
+  /**
+   * Cancels the worker job generating the chunk at (x, y, z), if there is one
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  cancelChunkRequest(x, y, z) {
+    const key = `${x},${y},${z}`;
+    const request = this.pendingChunks.get(key);
+    if (request) {
+      if (request.jobId !== null) {
+        this.workerPool.cancel(request.jobId);
+      }
+      this.pendingChunks.delete(key);
+    }
   }
 
   getBlock(x, y, z) {
     const coords = this.worldToChunkCoords(x, y, z);
-    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
 
     if (chunk && chunk.loaded) {
       return chunk.getBlock(
@@ -209,15 +487,52 @@ export class World extends THREE.Group {
     }
   }
 
+  /**
+   * Gets the block id at (x, y, z), without allocating a block object
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null} The block id, or null if the chunk isn't loaded
+   */
+  getBlockId(x, y, z) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+
+    if (chunk && chunk.loaded) {
+      return chunk.getBlockId(coords.block.x, coords.block.y, coords.block.z);
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Gets the light at (x, y, z) (see Lighting)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null} The light, or null if the chunk isn't loaded
+   */
+  getLight(x, y, z) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+
+    if (chunk && chunk.loaded) {
+      return chunk.getLight(coords.block.x, coords.block.y, coords.block.z);
+    } else {
+      return null;
+    }
+  }
+
   worldToChunkCoords(x, y, z) {
     const chunkCoords = {
       x: Math.floor(x / this.chunkSize.width),
+      y: Math.floor(y / this.chunkSize.height),
       z: Math.floor(z / this.chunkSize.width)
     };
 
     const blockCoords = {
       x: x - this.chunkSize.width * chunkCoords.x,
-      y,
+      y: y - this.chunkSize.height * chunkCoords.y,
       z: z - this.chunkSize.width * chunkCoords.z
     };
 
@@ -227,17 +542,29 @@ export class World extends THREE.Group {
     }
   }
 
-  getChunk(chunkX, chunkZ) {
-    return this.children.find((chunk) => (
-      chunk.userData.x === chunkX &&
-      chunk.userData.z === chunkZ
-    ));
+  /**
+   * Returns the chunk section at (chunkX, chunkY, chunkZ), if it has been added
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {WorldChunk | undefined}
+   */
+  getChunk(chunkX, chunkY, chunkZ) {
+    return this.chunks.get(`${chunkX},${chunkY},${chunkZ}`);
   }
 
   disposeChunks() {
+    for (const { jobId } of this.pendingChunks.values()) {
+      if (jobId !== null) {
+        this.workerPool.cancel(jobId);
+      }
+    }
+    this.pendingChunks.clear();
+    this.chunks.clear();
+
     this.traverse((chunk) => {
-      if (chunk.disposeInstances) {
-        chunk.disposeInstances();
+      if (chunk.disposeMeshes) {
+        chunk.disposeMeshes();
       }
     });
     this.clear();
@@ -249,21 +576,21 @@ export class World extends THREE.Group {
    * @param {number} y
    * @param {number} z
    * @param {number} blockId
+   * @returns {boolean} True if the block was placed
    */
   addBlock(x, y, z, blockId) {
     const coords = this.worldToChunkCoords(x, y, z);
-    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
 
-    if (chunk) {
-      chunk.addBlock(coords.block.x, coords.block.y, coords.block.z, blockId);
-
-      this.hideBlock(x - 1, y, z);
-      this.hideBlock(x + 1, y, z);
-      this.hideBlock(x, y - 1, z);
-      this.hideBlock(x, y + 1, z);
-      this.hideBlock(x, y, z - 1);
-      this.hideBlock(x, y, z + 1);
+    if (chunk && chunk.loaded) {
+      const previousId = chunk.getBlockId(coords.block.x, coords.block.y, coords.block.z);
+      if (!chunk.addBlock(coords.block.x, coords.block.y, coords.block.z, blockId)) return false;
+      this.recordEdit(chunk, x, y, z, previousId);
+      this.blockChanged(x, y, z);
+      this.lighting.updateChangedChunks();
+      return true;
     }
+    return false;
   }
 
   /**
@@ -271,54 +598,189 @@ export class World extends THREE.Group {
    * @param {number} x
    * @param {number} y
    * @param {number} z
+   * @returns {number | null} The id of the block it drops, or null if it drops nothing
    */
   removeBlock(x, y, z) {
     const coords = this.worldToChunkCoords(x, y, z);
-    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
-  
-    // Don't allow removing the first layer of blocks
-    // if (coords.block.y === 0) return;
-
-    if (chunk) {
-      chunk.removeBlock(coords.block.x, coords.block.y, coords.block.z);
-
-      // Reveal any adjacent blocks that may have been exposed after the block at (x,y,z) was removed
-      this.revealBlock(x - 1, y, z);
-      this.revealBlock(x + 1, y, z);
-      this.revealBlock(x, y - 1, z);
-      this.revealBlock(x, y + 1, z);
-      this.revealBlock(x, y, z - 1);
-      this.revealBlock(x, y, z + 1);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+
+    if (chunk && chunk.loaded) {
+      const previousId = chunk.getBlockId(coords.block.x, coords.block.y, coords.block.z);
+      // Unbreakable blocks, like the bedrock floor of the world, stay where they are
+      if (!blockRegistry.isBreakable(previousId)) return null;
+      if (!chunk.removeBlock(coords.block.x, coords.block.y, coords.block.z)) return null;
+      this.recordEdit(chunk, x, y, z, previousId);
+      this.blockChanged(x, y, z);
+      this.lighting.updateChangedChunks();
+      return blockRegistry.getDrop(previousId);
     }
+    return null;
+  }
+
+  /**
+   * Reverts the player's most recent edit. Blocks it knocked loose that are
+   * still falling land first, so they are put back along with it, and blocks
+   * only start falling again once all of the edit has been undone.
+   */
+  undo() {
+    this.fallingBlocks.settle();
+    this.fallingBlocks.batch(() => this.history.undo());
+  }
+
+  /**
+   * Re-applies the most recently undone edit, see undo()
+   */
+  redo() {
+    this.fallingBlocks.settle();
+    this.fallingBlocks.batch(() => this.history.redo());
   }
 
   /**
-   * Reveals the block at (x, y, z) by adding a new mesh instance
+   * Updates the light around (x, y, z) and lets the water and any blocks
+   * affected by gravity there react to the block changing. The chunks the
+   * change shows up in are marked for rebuilding, see
+   * Lighting.updateChangedChunks.
    * @param {number} x
    * @param {number} y
    * @param {number} z
+   * @param {object} [options]
+   * @param {boolean} [options.remote] The change was made by another player. Blocks
+   * it knocks loose are dropped by their game, and arrive as changes of their own.
    */
-  revealBlock(x, y, z) {
+  blockChanged(x, y, z, { remote = false } = {}) {
+    this.lighting.blockChanged(x, y, z);
+    this.fluids.blockChanged(x, y, z);
+    if (!remote) {
+      this.fallingBlocks.blockChanged(x, y, z);
+    }
+  }
+
+  /**
+   * Adds the change to the block at (x, y, z) to the edit history and sends
+   * it to the multiplayer server, if the block actually changed. If the
+   * server rejects it, the player doesn't get to keep the items they got or
+   * used up with it either.
+   * @param {WorldChunk} chunk The chunk containing the block
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} previousId Id of the block before the change
+   */
+  recordEdit(chunk, x, y, z, previousId) {
     const coords = this.worldToChunkCoords(x, y, z);
-    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+    const blockId = chunk.getBlockId(coords.block.x, coords.block.y, coords.block.z);
+    if (blockId === previousId) return;
+
+    const step = this.history.record(x, y, z, previousId, blockId);
+    // The items are recorded after the edit, but always before the server answers
+    this.multiplayer?.blockEdited(x, y, z, previousId, blockId).then((accepted) => {
+      if (!accepted) {
+        this.history.revertItems(step);
+      }
+    });
+  }
 
-    if (chunk) {
-      chunk.addBlockInstance(coords.block.x, coords.block.y, coords.block.z);
+  /**
+   * Sets the block at (x, y, z) like setBlock, as a knock-on effect of an
+   * earlier edit (e.g. sand falling after the block under it was mined).
+   * The change is added to that edit's step of the history, so undoing the
+   * edit undoes this too, and sent to the multiplayer server like any other
+   * edit.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} blockId
+   * @param {import('./editHistory').HistoryStep | null} step The history step of
+   * the edit, or null if it isn't in the history (e.g. it was an undo)
+   */
+  setBlockCausedBy(x, y, z, blockId, step) {
+    const previousId = this.getBlockId(x, y, z);
+    this.setBlock(x, y, z, blockId);
+    if (previousId === blockId) return;
+
+    this.multiplayer?.blockEdited(x, y, z, previousId, blockId);
+    if (step && previousId !== null) {
+      this.history.record(x, y, z, previousId, blockId, step);
     }
   }
 
   /**
-   * Hides the block at (x, y, z) by removing the mesh instance
+   * Sets the block at (x, y, z) to 'blockId' without recording it in the edit
+   * history. If the chunk isn't loaded, the change is only written to the data
+   * store and shows up when the chunk is generated.
    * @param {number} x
    * @param {number} y
    * @param {number} z
+   * @param {number} blockId
+   * @param {object} [options] See blockChanged()
+   * @param {boolean} [options.remote]
    */
-  hideBlock(x, y, z) {
+  setBlock(x, y, z, blockId, options = {}) {
     const coords = this.worldToChunkCoords(x, y, z);
-    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
 
-    if (chunk && chunk.isBlockObscured(coords.block.x, coords.block.y, coords.block.z)) {
-      chunk.deleteBlockInstance(coords.block.x, coords.block.y, coords.block.z);
+    if (chunk && chunk.loaded) {
+      chunk.setBlock(coords.block.x, coords.block.y, coords.block.z, blockId);
+      this.blockChanged(x, y, z, options);
+      this.lighting.updateChangedChunks();
+      return;
     }
+
+    if (y < 0 || y >= this.worldHeight) return;
+
+    const chunkX = coords.chunk.x * this.chunkSize.width;
+    const chunkY = coords.chunk.y * this.chunkSize.height;
+    const chunkZ = coords.chunk.z * this.chunkSize.width;
+    this.dataStore.loadChunk(chunkX, chunkY, chunkZ).then(() => {
+      this.dataStore.set(chunkX, chunkY, chunkZ, coords.block.x, coords.block.y, coords.block.z, blockId);
+
+      // A chunk that is still being generated may have missed the change, so start it over
+      const pendingChunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+      if (pendingChunk && !pendingChunk.loaded) {
+        this.cancelChunkRequest(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+        this.remove(pendingChunk);
+        this.generateChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+      } else if (pendingChunk) {
+        pendingChunk.setBlock(coords.block.x, coords.block.y, coords.block.z, blockId);
+        this.blockChanged(x, y, z, options);
+        this.lighting.updateChangedChunks();
+      }
+    }).catch((error) => {
+      console.error(`Failed to change the block at ${x}, ${y}, ${z}`, error);
+    });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Older versions saved the world to localStorage, as the params plus one
+ * big object of player changes keyed '<chunkX>-<chunkZ>-<x>-<y>-<z>'.
+ * Chunk columns were a single 32 block section back then. Moves such a
+ * save over to the DataStore (unless a newer world has been saved there
+ * since) and removes it from localStorage.
+ * @param {DataStore} dataStore
+ */
+async function importLocalStorageSave(dataStore) {
+  const savedParams = localStorage.getItem('minecraft_params');
+  const savedData = localStorage.getItem('minecraft_data');
+  if (savedParams === null && savedData === null) return;
+
+  if (await dataStore.loadMeta('params') === undefined) {
+    const params = JSON.parse(savedParams ?? 'null');
+    const data = JSON.parse(savedData ?? 'null') ?? {};
+
+    for (const [key, blockId] of Object.entries(data)) {
+      const match = key.match(/^(-?\d+)-(-?\d+)-(\d+)-(\d+)-(\d+)$/);
+      if (!match || !Number.isInteger(blockId)) continue;
+
+      const [, chunkX, chunkZ, x, y, z] = match.map(Number);
+      dataStore.set(chunkX, 0, chunkZ, x, y, z, blockId);
+    }
+    await dataStore.save();
+    if (params) {
+      await dataStore.saveMeta('params', params);
+    }
+  }
+
+  localStorage.removeItem('minecraft_params');
+  localStorage.removeItem('minecraft_data');
+}
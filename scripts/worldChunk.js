@@ -1,311 +1,252 @@
 import * as THREE from 'three';
-import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
-import { RNG } from './rng';
-import { blocks, resources } from './blocks';
-
-const geometry = new THREE.BoxGeometry();
-
+import { createTerrainNoise, getBiome } from './chunkGenerator';
+import { generateChunk } from './generation';
+import { ChunkData } from './chunkData';
+import { blocks, blockRegistry } from './blocks';
+import { createChunkGeometry } from './chunkMesher';
+import { blockMaterial, fluidMaterial } from './blockMaterials';
+import { DEFAULT_LIGHT } from './lighting';
+
+/**
+ * A section of a chunk column, chunkSize.height blocks tall. Sections that
+ * are completely empty have no data and no block mesh.
+ */
 export class WorldChunk extends THREE.Group {
   /**
-   * @type {{
-  *  id: number,
-  *  instanceId: number
-  * }[][][]}
-  */
-  data = [];
+   * The block data, or null if the section is empty
+   * @type {ChunkData | null}
+   */
+  data = null;
 
+  /**
+   * @type {THREE.Mesh | null}
+   */
+  mesh = null;
 
+  /**
+   * The translucent fluid faces, drawn separately from the solid blocks
+   * @type {THREE.Mesh | null}
+   */
+  fluidMesh = null;
 
-  constructor(size, params, dataStore) {
+  /**
+   * @param {{ width: number, height: number }} size
+   * @param {object} params
+   * @param {import('./dataStore').DataStore} dataStore
+   * @param {import('./world').World} world The world the chunk belongs to, used to look at neighbouring chunks
+   */
+  constructor(size, params, dataStore, world = null) {
     super();
     this.loaded = false;
     this.size = size;
     this.params = params;
     this.dataStore = dataStore;
+    this.world = world;
   }
 
-  // Generates the world data and meshes
+  /**
+   * Generates the world data and meshes on the main thread
+   */
   generate() {
     const start = performance.now();
 
-    const rng = new RNG(this.params.seed);
-    this.initializeTerrain();
-    this.generateTerrain(rng);
-    this.generateClouds(rng);
-    this.loadPlayerChanges();
-    this.generateMeshes();
+    const { x, y, z } = this.position;
+    const changes = this.dataStore.getChunkChanges(x, y, z);
+    const coords = this.userData;
+    this.load(generateChunk(this.params, coords.x, coords.y, coords.z, { size: this.size, changes }));
+
+    console.log(`Loaded chunk in ${performance.now() - start}ms`);
+  }
 
+  /**
+   * Loads the block data created by generateChunk (either on the main
+   * thread or in a chunk worker) and builds the meshes for it
+   * @param {Uint16Array | null} blockIds The block ids, or null for an empty section
+   */
+  load(blockIds) {
+    this.initializeTerrain(blockIds);
     this.loaded = true;
 
-    console.log(`Loaded chunk in ${performance.now() - start}ms`);
+    // The meshes are shaded by the light, so it has to be worked out first
+    this.world?.lighting.chunkLoaded(this);
+    this.generateMeshes();
   }
 
-  // Initializing the world terrain data
-  initializeTerrain() {
-    this.data = [];
-    for (let x = 0; x < this.size.width; x++) {
-      const slice = [];
-      for (let y = 0; y < this.size.height; y++) {
-        const row = [];
-        for (let z = 0; z < this.size.width; z++) {
-          row.push({
-            id: blocks.empty.id,
-            instanceId: null
-          });
-        }
-        slice.push(row);
-      }
-      this.data.push(slice);
-    }
+  /**
+   * Initializes the world terrain data from the generated block ids
+   * @param {Uint16Array | null} blockIds
+   */
+  initializeTerrain(blockIds) {
+    this.data = blockIds ? new ChunkData(this.size, blockIds) : null;
   }
 
-  getBiome(simplex, x, z) {
-    let noise = 0.5 * simplex.noise(
-      (this.position.x + x) / this.params.biomes.scale, 
-      (this.position.z + z) / this.params.biomes.scale
-    ) + 0.5;
-
-    noise += this.params.biomes.variation.amplitude * (simplex.noise(
-      (this.position.x + x / this.params.biomes.variation.scale), 
-      (this.position.z + z / this.params.biomes.variation.scale)
-    ));
-
-    if (noise < this.params.biomes.tundraToTemperate) {
-      return 'Tundra';
-    } else if (noise < this.params.biomes.temperateToJungle) {
-      return 'Temperate';
-    } else if (noise < this.params.biomes.jungleToDesert) {
-      return 'Jungle';
-    } else {
-      return 'Desert';
-    }
+  // Generates the 3D representation of the world from the world data
+  generateMeshes() {
+    this.disposeMeshes();
+    if (!this.data) return;
+
+    this.mesh = new THREE.Mesh(createChunkGeometry(this), blockMaterial);
+    this.mesh.castShadow = true;
+    this.mesh.receiveShadow = true;
+    this.add(this.mesh);
+
+    this.fluidMesh = new THREE.Mesh(createChunkGeometry(this, true), fluidMaterial);
+    // Keep fluids out of the player's block selection
+    this.fluidMesh.layers.set(1);
+    this.add(this.fluidMesh);
   }
 
-  
-
-  generateTerrain(rng) {
-    const simplex = new SimplexNoise(rng);
-    for (let x = 0; x < this.size.width; x++) {
-      for (let z = 0; z < this.size.width; z++) {
-        const biome = this.getBiome(simplex, x, z);
-
-        const value = simplex.noise(
-          (this.position.x + x) / this.params.terrain.scale, 
-          (this.position.z + z) / this.params.terrain.scale
-        );
-
-        const scaleNoise = this.params.terrain.offset +
-          this.params.terrain.magnitude * value;
-
-        let height = Math.floor(scaleNoise);
-
-        height = Math.max(0, Math.min(height, this.size.height - 1));
-
-        
-        for (let y = this.size.height; y >= 0; y--) {
-          if (y <= this.params.terrain.waterOffset && y === height) {
-            this.setBlockId(x, y, z, blocks.sand.id);
-          } else if (y === height) {
-            let groundBlockType;
-            if (biome === 'Desert') {
-              groundBlockType = blocks.sand.id;
-            } else if (biome === 'Temperate' || biome === 'Jungle') {
-              groundBlockType = blocks.grass.id;
-            } else if (biome === 'Tundra') {
-              groundBlockType = blocks.snow.id;
-            }
-
-            this.setBlockId(x, y, z, groundBlockType);
-
-            if (rng.random() < this.params.trees.frequency) {
-              this.generateTree(rng, biome, x, height + 1, z);
-            }
-          } else if (y < height && this.getBlock(x, y, z).id === blocks.empty.id) {
-            this.generateResourcesIfNeeded(simplex, x, y, z);
-          }
-        }
-      }
+  /**
+   * Rebuilds the block mesh after the chunk data has changed
+   */
+  updateMesh() {
+    if (!this.mesh) {
+      this.generateMeshes();
+      return;
     }
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = createChunkGeometry(this);
+    this.fluidMesh.geometry.dispose();
+    this.fluidMesh.geometry = createChunkGeometry(this, true);
   }
 
-  generateResourcesIfNeeded(simplex, x, y, z) {
-    this.setBlockId(x, y, z, blocks.dirt.id);
-    resources.forEach(resources => {
-      const value = simplex.noise3d(
-        (this.position.x + x) / resources.scale.x,
-        (this.position.y + y) / resources.scale.y, 
-        (this.position.z + z) / resources.scale.z);
-
-      if (value > resources.scarcity) {
-        this.setBlockId(x, y, z, resources.id);
-      }
-    });
+  /**
+   * Returns the biome at the block (x, z) of the chunk
+   * @param {number} x
+   * @param {number} z
+   * @returns {'Tundra' | 'Temperate' | 'Jungle' | 'Desert'}
+   */
+  getBiome(x, z) {
+    // The same noise the generator uses, so this matches the terrain
+    this.biomeNoise ??= createTerrainNoise(this.params);
+    return getBiome(this.biomeNoise, this.params, this.position, x, z);
   }
 
   /**
-   * Populates the world with trees
-   * @param {RNG} rng 
+   * Gets the block data at (x, y, z)
+   * @param {number} x 
+   * @param {number} y 
+   * @param {number} z 
+   * @return {{id: number}}
    */
-  generateTree(rng, biome, x, y, z) {
-    const minH = this.params.trees.trunk.minHeight;
-    const maxH = this.params.trees.trunk.maxHeight;
-    const h = Math.round(minH + (maxH - minH) * rng.random());
-
-    // The trunk of the tree starts here
-    for (let treeY = y; treeY <= y + h; treeY++) {
-      if (biome === 'Temperate' || biome === 'Tundra') {
-        this.setBlockId(x, treeY, z, blocks.tree.id);
-      } else if (biome === 'Jungle') {
-        this.setBlockId(x, treeY, z, blocks.jungleTree.id);
-      } else if (biome === 'Desert') {
-        this.setBlockId(x, treeY, z, blocks.cactus.id);
-      }
-    }
-
-    if (biome === 'Temperate' || biome === 'Jungle') {
-      this.generateTreeCanopy(biome, x, y + h, z, rng);
+  getBlock(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      return { id: this.getBlockId(x, y, z) };
+    } else {
+      return null;
     }
   }
 
-  generateTreeCanopy = (biome, centerX, centerY, centerZ, rng) => {
-    const minR = this.params.trees.canopy.minRadius;
-    const maxR = this.params.trees.canopy.maxRadius;
-    const r = Math.round(minR + (maxR - minR) * rng.random());
-
-    for (let x = -r; x <= r; x++) {
-      for (let y = -r; y <= r; y++) {
-        for (let z= -r; z <= r; z++) {
-          const n = rng.random()
-          if (x * x + y * y + z * z > r * r) continue;
-          
-          const block = this.getBlock(centerX+ x, centerY + y, centerZ + z);
-          if (block && block.id !== blocks.empty.id) continue;
-          if (n < this.params.trees.canopy.density) {
-            if (biome === 'Temperate') {
-              this.setBlockId(centerX + x, centerY + y, centerZ + z, blocks.leaves.id);
-            } else if (biome === 'Jungle') {
-              this.setBlockId(centerX + x, centerY + y, centerZ + z, blocks.jungleLeaves.id);
-            }
-          }
-        }
-      }
+  /**
+   * Gets the block id at (x, y, z), without allocating a block object
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @return {number | null}
+   */
+  getBlockId(x, y, z) {
+    if (this.data) {
+      return this.data.getBlockId(x, y, z);
     }
+    return this.inBounds(x, y, z) ? blocks.empty.id : null;
   }
 
   /**
-   * Creates happy little clouds
-   * @param {RNG} rng
+   * Gets the block id at (x, y, z) like getBlockId, but looks into the
+   * neighbouring chunks for coordinates outside of this one
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @return {number | null} The block id, or null if the block isn't loaded
    */
-  generateClouds(rng) {
-    const simplex = new SimplexNoise(rng);
-    for (let x = 0; x < this.size.width; x++) {
-      for (let z = 0; z < this.size.width; z++) {
-        const value = (simplex.noise(
-          (this.position.x + x) / this.params.clouds.scale,
-          (this.position.z + z) / this.params.clouds.scale,
-        ) + 1) * 0.5;
-
-        if (value < this.params.clouds.density) {
-          this.setBlockId(x, this.size.height -  1, z, blocks.cloud.id);
-        }
-      }
+  getNearbyBlockId(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      return this.getBlockId(x, y, z);
     }
+    return this.world?.getBlockId(this.position.x + x, this.position.y + y, this.position.z + z) ?? null;
   }
 
   /**
-   * Pulls any changes from the data store and applies them to the data model
+   * Gets the flow level of the fluid at (x, y, z). 0 is a source.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @return {number}
    */
-  loadPlayerChanges() {
-    for (let x = 0; x < this.size.width; x++) {
-      for (let y = 0; y < this.size.height; y++) {
-        for (let z = 0; z < this.size.width; z++) {
-          if (this.dataStore.contains(this.position.x, this.position.z, x, y, z)) {
-            const blockId = this.dataStore.get(this.position.x, this.position.z, x, y, z);
-            this.setBlockId(x, y, z, blockId);
-          }
-        }
-      }
-    }
+  getFluidLevel(x, y, z) {
+    if (!this.data || !this.inBounds(x, y, z)) return 0;
+    return this.data.getLayer('fluidLevel')[this.data.getIndex(x, y, z)];
   }
-  
-  generateWater() {
-    const material = new THREE.MeshLambertMaterial({
-      color: 0x9090e0,
-      transparent: true,
-      opacity: 0.5,
-      side: THREE.DoubleSide
-    });
 
-    const waterMesh = new THREE.Mesh(new THREE.PlaneGeometry(), material);
-    waterMesh.rotateX(-Math.PI / 2.0);
-    waterMesh.position.set(
-      this.size.width / 2,
-      this.params.terrain.waterOffset + 0.4,
-      this.size.width / 2
-    );
-    waterMesh.scale.set(this.size.width, this.size.width, 1);
-    waterMesh.layers.set(1);
-
-    this.add(waterMesh);
+  /**
+   * Sets the flow level of the fluid at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} level
+   */
+  setFluidLevel(x, y, z, level) {
+    if (!this.data || !this.inBounds(x, y, z)) return;
+    this.data.getLayer('fluidLevel')[this.data.getIndex(x, y, z)] = level;
   }
 
-  // Generates the 3D representation of the world from the world data
-  generateMeshes() {
-    this.clear();
+  /**
+   * Gets the light at (x, y, z), with the sky light in the high four bits
+   * and the block light in the low four bits (see Lighting)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @return {number}
+   */
+  getLight(x, y, z) {
+    const layer = this.data?.layers.light;
+    if (!layer || !this.inBounds(x, y, z)) return DEFAULT_LIGHT;
+    return layer[this.data.getIndex(x, y, z)];
+  }
 
-    this.generateWater();
-    
-    const maxCount = this.size.width * this.size.width * this.size.height;
-    
-    const meshes = {};
-    Object.values(blocks)
-      .filter(blockType => blockType.id !== blocks.empty.id)
-      .forEach(blockType => {
-        const mesh = new THREE.InstancedMesh(geometry, blockType.material, maxCount);
-        mesh.name = blockType.id;
-        mesh.count = 0;
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        meshes[blockType.id] = mesh;
-      })
-
-    const matrix = new THREE.Matrix4();
-    for (let x = 0; x < this.size.width; x++) {
-      for (let y = 0; y < this.size.height; y++) {
-        for (let z = 0; z < this.size.width; z++) {
-          const blockId = this.getBlock(x, y, z).id;
-          
-          if (blockId === blocks.empty.id) continue;
-
-          const mesh = meshes[blockId];
-          const instanceId = mesh.count;
-
-          if (!this.isBlockObscured(x, y, z)) {
-            matrix.setPosition(x, y, z);
-            mesh.setMatrixAt(instanceId, matrix);
-            this.setBlockInstanceId(x, y, z, instanceId);
-            mesh.count++;
-          }
-        }
-      }
+  /**
+   * Gets the light at (x, y, z) like getLight, but looks into the
+   * neighbouring chunks for coordinates outside of this one
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @return {number}
+   */
+  getNearbyLight(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      return this.getLight(x, y, z);
     }
+    return this.world?.getLight(this.position.x + x, this.position.y + y, this.position.z + z) ?? DEFAULT_LIGHT;
+  }
 
-    this.add(...Object.values(meshes));
+  /**
+   * Sets the light at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} light
+   */
+  setLight(x, y, z, light) {
+    if (!this.inBounds(x, y, z)) return;
+    if (!this.data && light === DEFAULT_LIGHT) return;
+    this.getLightLayer()[this.data.getIndex(x, y, z)] = light;
   }
 
   /**
-   * Gets the block data at (x, y, z)
-   * @param {number} x 
-   * @param {number} y 
-   * @param {number} z 
-   * @return {{id: number, instanceId: number}}
+   * Returns the light of every block in the chunk, indexed like the block
+   * data. Allocates the data for empty sections.
+   * @returns {Uint8Array}
    */
-  getBlock(x, y, z) {
-    if (this.inBounds(x, y, z)) {
-      return this.data[x][y][z];
-    } else {
-      return null;
+  getLightLayer() {
+    if (!this.data) {
+      this.data = new ChunkData(this.size);
+    }
+
+    // Blocks start out with the default light rather than darkness
+    if (!this.data.layers.light) {
+      this.data.getLayer('light').fill(DEFAULT_LIGHT);
     }
+    return this.data.layers.light;
   }
 
   /**
@@ -314,13 +255,16 @@ export class WorldChunk extends THREE.Group {
    * @param {number} y
    * @param {number} z
    * @param {number} blockId
+   * @returns {boolean} True if the block was placed
    */
   addBlock(x, y, z, blockId) {
-    if (this.getBlock(x, y, z).id === blocks.empty.id) {
-      this.setBlockId(x, y, z, blockId);
-      this.addBlockInstance(x, y, z);
-      this.dataStore.set(this.position.x, this.position.z, x, y, z, blockId);
+    // Blocks can be placed in fluids, replacing them
+    const currentId = this.getBlockId(x, y, z);
+    if (currentId === blocks.empty.id || blockRegistry.isFluid(currentId)) {
+      this.setBlock(x, y, z, blockId);
+      return true;
     }
+    return false;
   }
 
   /**
@@ -328,64 +272,32 @@ export class WorldChunk extends THREE.Group {
    * @param {number} x
    * @param {number} y
    * @param {number} z
+   * @returns {boolean} True if there was a block to remove
    */
   removeBlock(x, y, z) {
-    const block = this.getBlock(x, y, z);
-    if (block && block.id !== blocks.empty.id) {
-      this.deleteBlockInstance(x, y, z);
-      this.setBlockId(x, y, z, blocks.empty.id);
-      this.dataStore.set(this.position.x, this.position.z, x, y, z, blocks.empty.id);
+    const blockId = this.getBlockId(x, y, z);
+    if (blockId !== null && blockId !== blocks.empty.id) {
+      this.setBlock(x, y, z, blocks.empty.id);
+      return true;
     }
+    return false;
   }
 
-    /**
-   * Create a new instance for the block at (x, y, z)
+  /**
+   * Changes the block at (x, y, z) to 'blockId' and saves the change to the
+   * data store. The mesh isn't rebuilt here: the change can shade the chunks
+   * around it too, so the world rebuilds all of them at once after relighting
+   * (see World.blockChanged).
    * @param {number} x
    * @param {number} y
    * @param {number} z
+   * @param {number} blockId
    */
-  addBlockInstance(x, y, z) {
-    const block = this.getBlock(x, y, z);
-
-    if(block && block.id !== blocks.empty.id && block.instanceId === null) {
-      const mesh = this.children.find((instanceMesh) => instanceMesh.name === block.id);
-      const instanceId = mesh.count++;
-      this.setBlockInstanceId(x, y, z, instanceId);
-
-      const matrix = new THREE.Matrix4();
-      matrix.setPosition(x, y, z);
-      mesh.setMatrixAt(instanceId, matrix);
-      mesh.instanceMatrix.needsUpdate = true;
-      mesh.computeBoundingSphere();
-    }
-  }
-
-  deleteBlockInstance(x, y, z) {
-    const block = this.getBlock(x, y, z);
-
-    if (block.id === blocks.empty.id || block.instanceId === null) return;
-
-    const mesh = this.children.find((instanceMesh) => instanceMesh.name === block.id);
-    const instanceId = block.instanceId;
-
-    const lastMatrix = new THREE.Matrix4();
-    mesh.getMatrixAt(mesh.count - 1, lastMatrix);
-
-    const v = new THREE.Vector3();
-    v.setFromMatrixPosition(lastMatrix);
-    this.setBlockInstanceId(v.x, v.y, v.z, instanceId);
-
-    mesh.setMatrixAt(instanceId, lastMatrix);
+  setBlock(x, y, z, blockId) {
+    if (!this.inBounds(x, y, z)) return;
 
-    // Decrease the mesh count to "delete" the block
-    mesh.count--;
-
-    // Notify the instanced mesh we updated the instance matrix
-    // Also re-compute the bounding sphere so raycasting works
-    mesh.instanceMatrix.needsUpdate = true;
-    mesh.computeBoundingSphere();
-
-    this.setBlockInstanceId(x, y, z, null);
+    this.setBlockId(x, y, z, blockId);
+    this.dataStore.set(this.position.x, this.position.y, this.position.z, x, y, z, blockId);
   }
 
   /**
@@ -396,22 +308,11 @@ export class WorldChunk extends THREE.Group {
    * @param {number} id
    */
   setBlockId(x, y, z, id) {
-    if (this.inBounds(x, y, z)) {
-      this.data[x][y][z].id = id;
-    }
-  }
-
-  /**
-   * Sets the block instance id for the block at (x, y, z)
-   * @param {number} x
-   * @param {number} y
-   * @param {number} z
-   * @param {number} instanceId
-   */
-  setBlockInstanceId(x, y, z, instanceId) {
-    if (this.inBounds(x, y, z)) {
-      this.data[x][y][z].instanceId = instanceId;
+    // Empty sections only get data once something is placed in them
+    if (!this.data) {
+      this.data = new ChunkData(this.size);
     }
+    this.data.setBlockId(x, y, z, id);
   }
 
   /**
@@ -422,48 +323,18 @@ export class WorldChunk extends THREE.Group {
    * @return {boolean}
    */
   inBounds(x, y, z) {
-    if (x >= 0 && x < this.size.width &&
+    return x >= 0 && x < this.size.width &&
       y >= 0 && y < this.size.height &&
-      z >= 0 && z < this.size.width) {
-      return true; 
-    } else {
-      return false;
-    }
-  }
-
-  /**
-   * Returns true if this block is completely hidden by other blocks
-   * @param {number} x 
-   * @param {number} y 
-   * @param {number} z 
-   * @returns {boolean}
-   */
-  isBlockObscured(x, y, z) {
-    const up = this.getBlock(x, y + 1, z)?.id ?? blocks.empty.id;
-    const down = this.getBlock(x, y - 1, z)?.id ?? blocks.empty.id;
-    const left = this.getBlock(x + 1, y, z)?.id ?? blocks.empty.id;
-    const right = this.getBlock(x - 1, y, z)?.id ?? blocks.empty.id;
-    const forward = this.getBlock(x, y, z + 1)?.id ?? blocks.empty.id;
-    const back = this.getBlock(x, y, z - 1)?.id ?? blocks.empty.id;
-  
-    // If any of the block's sides is exposed, it is not obscured
-    if (up === blocks.empty.id ||
-        down === blocks.empty.id || 
-        left === blocks.empty.id || 
-        right === blocks.empty.id || 
-        forward === blocks.empty.id || 
-        back === blocks.empty.id) {
-      return false;
-    } else {
-      return true;
-    }
+      z >= 0 && z < this.size.width;
   }
 
-  disposeInstances() {
+  disposeMeshes() {
     this.traverse((obj) => {
-      if (obj.dispose) obj.dispose();
+      if (obj.isMesh) obj.geometry.dispose();
     });
     this.clear();
+    this.mesh = null;
+    this.fluidMesh = null;
   }
 
 
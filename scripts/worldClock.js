@@ -0,0 +1,54 @@
+/**
+ * Keeps track of the time of day. 'time' runs from 0 to 1 over a day:
+ * 0 is midnight, 0.25 sunrise, 0.5 noon and 0.75 sunset.
+ */
+export class WorldClock {
+  /**
+   * The time of day, from 0 to 1
+   */
+  time = 0.3;
+
+  /**
+   * Length of a day in seconds, at normal speed
+   */
+  dayLength = 600;
+
+  /**
+   * How fast time passes. 0 stops the clock.
+   */
+  speed = 1;
+
+  /**
+   * Advances the clock by 'dt' seconds
+   * @param {number} dt
+   */
+  update(dt) {
+    this.time = (this.time + dt * this.speed / this.dayLength) % 1;
+  }
+
+  /**
+   * Angle of the sun around the world in radians, 0 at midnight
+   * @type {number}
+   */
+  get sunAngle() {
+    return this.time * Math.PI * 2;
+  }
+
+  /**
+   * Height of the sun in the sky, from -1 (midnight) to 1 (noon)
+   * @type {number}
+   */
+  get sunHeight() {
+    return -Math.cos(this.sunAngle);
+  }
+
+  /**
+   * How bright the day is, from 0 at night to 1 during the day. Fades
+   * over dawn and dusk instead of flipping at the horizon.
+   * @type {number}
+   */
+  get daylight() {
+    const t = Math.min(Math.max((this.sunHeight + 0.1) / 0.3, 0), 1);
+    return t * t * (3 - 2 * t);
+  }
+}
@@ -0,0 +1,322 @@
+import { blockRegistry } from './blocks';
+import { isValidSeed } from './rng';
+
+/**
+ * Reads and writes the binary world file used to export/import worlds.
+ *
+ * Layout (all numbers little endian):
+ *
+ *   char[4]  magic 'MCJW'
+ *   uint16   format version
+ *   uint16   reserved (0)
+ *   uint32   CRC-32 of everything after this field
+ *   uint32   byte length of the params JSON, followed by the UTF-8 JSON
+ *   uint16   chunk width
+ *   uint16   chunk section height
+ *   float32  player position x, y, z
+ *   uint32   number of chunk sections, followed by each section:
+ *     int32    chunk x (in chunks, not blocks)
+ *     int32    chunk y (version 2+, version 1 chunks were a single section)
+ *     int32    chunk z
+ *     uint32   byte length of the compressed chunk edits, followed by the
+ *              edits compressed with 'deflate-raw'. Uncompressed, the edits
+ *              are a uint32 count followed by uint16 x, y, z, id per edit.
+ *
+ * @typedef {{ x: number, y: number, z: number, id: number }} BlockChange
+ *
+ * @typedef {object} WorldFile
+ * @property {object} params The world generation params
+ * @property {{ width: number, height: number }} chunkSize
+ * @property {{ x: number, y: number, z: number }} player The player's position
+ * @property {{ x: number, y: number, z: number, changes: BlockChange[] }[]} chunks
+ */
+
+const MAGIC = 'MCJW';
+const HEADER_SIZE = 12;
+
+/**
+ * The version written by writeWorldFile. Bump this whenever the layout
+ * changes and add a migration from the previous version below.
+ */
+export const WORLD_FILE_VERSION = 2;
+
+/**
+ * Upgrades a decoded world file from the version it is keyed by to the next
+ * version. Files are run through every migration from their version up to
+ * WORLD_FILE_VERSION, so old exports keep loading.
+ * @type {{ [fromVersion: number]: (file: WorldFile) => WorldFile }}
+ */
+const migrations = {
+  // Version 1 had no vertical sections, every chunk was the bottom section of its column
+  1: (file) => ({
+    ...file,
+    chunks: file.chunks.map((chunk) => ({ ...chunk, y: 0 }))
+  })
+};
+
+/**
+ * Thrown when a world file is corrupt or can't be read
+ */
+export class WorldFileError extends Error {
+  name = 'WorldFileError';
+}
+
+/**
+ * Encodes a world into the binary world file format
+ * @param {WorldFile} world
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function writeWorldFile(world) {
+  const params = new TextEncoder().encode(JSON.stringify(world.params));
+
+  const chunks = await Promise.all(world.chunks.map(async (chunk) => ({
+    x: chunk.x,
+    y: chunk.y,
+    z: chunk.z,
+    data: await compress(encodeChanges(chunk.changes))
+  })));
+
+  let size = HEADER_SIZE + 4 + params.length + 4 + 12 + 4;
+  for (const chunk of chunks) {
+    size += 16 + chunk.data.length;
+  }
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  for (let i = 0; i < MAGIC.length; i++) {
+    view.setUint8(offset++, MAGIC.charCodeAt(i));
+  }
+  view.setUint16(offset, WORLD_FILE_VERSION, true); offset += 2;
+  view.setUint16(offset, 0, true); offset += 2;
+  offset += 4; // CRC, written once the rest of the file is done
+
+  view.setUint32(offset, params.length, true); offset += 4;
+  bytes.set(params, offset); offset += params.length;
+
+  view.setUint16(offset, world.chunkSize.width, true); offset += 2;
+  view.setUint16(offset, world.chunkSize.height, true); offset += 2;
+
+  view.setFloat32(offset, world.player.x, true); offset += 4;
+  view.setFloat32(offset, world.player.y, true); offset += 4;
+  view.setFloat32(offset, world.player.z, true); offset += 4;
+
+  view.setUint32(offset, chunks.length, true); offset += 4;
+  for (const chunk of chunks) {
+    view.setInt32(offset, chunk.x, true); offset += 4;
+    view.setInt32(offset, chunk.y, true); offset += 4;
+    view.setInt32(offset, chunk.z, true); offset += 4;
+    view.setUint32(offset, chunk.data.length, true); offset += 4;
+    bytes.set(chunk.data, offset); offset += chunk.data.length;
+  }
+
+  view.setUint32(8, crc32(bytes.subarray(HEADER_SIZE)), true);
+
+  return bytes.buffer;
+}
+
+/**
+ * Decodes a binary world file, migrating it to the current version
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<WorldFile>}
+ * @throws {WorldFileError} If the file is corrupt or from a newer version
+ */
+export async function readWorldFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  if (bytes.length < HEADER_SIZE || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+    throw new WorldFileError('Not a world file');
+  }
+
+  const version = view.getUint16(4, true);
+  if (version < 1 || version > WORLD_FILE_VERSION) {
+    throw new WorldFileError(`Unsupported world file version ${version}`);
+  }
+
+  if (view.getUint32(8, true) !== crc32(bytes.subarray(HEADER_SIZE))) {
+    throw new WorldFileError('World file is corrupt (checksum mismatch)');
+  }
+
+  let world;
+  try {
+    world = await decode(bytes, view, version);
+  } catch (error) {
+    throw new WorldFileError(`World file is corrupt (${error.message})`);
+  }
+
+  for (let v = version; v < WORLD_FILE_VERSION; v++) {
+    world = migrations[v](world);
+  }
+
+  validate(world);
+  return world;
+}
+
+/**
+ * Decodes the body of a world file, as laid out in 'version'. Any out of
+ * bounds read throws a RangeError.
+ * @param {Uint8Array} bytes
+ * @param {DataView} view
+ * @param {number} version
+ * @returns {Promise<WorldFile>}
+ */
+async function decode(bytes, view, version) {
+  let offset = HEADER_SIZE;
+
+  const paramsLength = view.getUint32(offset, true); offset += 4;
+  if (offset + paramsLength > bytes.length) throw new RangeError('Params out of bounds');
+  const params = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + paramsLength)));
+  offset += paramsLength;
+
+  const chunkSize = {
+    width: view.getUint16(offset, true),
+    height: view.getUint16(offset + 2, true)
+  };
+  offset += 4;
+
+  const player = {
+    x: view.getFloat32(offset, true),
+    y: view.getFloat32(offset + 4, true),
+    z: view.getFloat32(offset + 8, true)
+  };
+  offset += 12;
+
+  const chunkCount = view.getUint32(offset, true); offset += 4;
+  const chunks = [];
+  for (let i = 0; i < chunkCount; i++) {
+    const x = view.getInt32(offset, true); offset += 4;
+    // Version 1 files have no y, it's filled in by the migration
+    let y;
+    if (version >= 2) {
+      y = view.getInt32(offset, true); offset += 4;
+    }
+    const z = view.getInt32(offset, true); offset += 4;
+    const length = view.getUint32(offset, true); offset += 4;
+
+    if (offset + length > bytes.length) throw new RangeError('Chunk out of bounds');
+    const changes = decodeChanges(await decompress(bytes.subarray(offset, offset + length)));
+    offset += length;
+
+    chunks.push({ x, y, z, changes });
+  }
+
+  return { params, chunkSize, player, chunks };
+}
+
+/**
+ * Sanity checks the decoded world so garbage never makes it into the generator
+ * @param {WorldFile} world
+ */
+function validate(world) {
+  if (typeof world.params !== 'object' || world.params === null || !isValidSeed(world.params.seed)) {
+    throw new WorldFileError('World file is corrupt (invalid params)');
+  }
+
+  if (world.chunkSize.width === 0 || world.chunkSize.height === 0) {
+    throw new WorldFileError('World file is corrupt (invalid chunk size)');
+  }
+
+  if (![world.player.x, world.player.y, world.player.z].every(Number.isFinite)) {
+    throw new WorldFileError('World file is corrupt (invalid player position)');
+  }
+
+  for (const chunk of world.chunks) {
+    // Sections are stacked up from the bottom of the world, there's nothing below it
+    if (chunk.y < 0) {
+      throw new WorldFileError(`World file is corrupt (chunk ${chunk.x}, ${chunk.y}, ${chunk.z} is below the world)`);
+    }
+    for (const { x, y, z, id } of chunk.changes) {
+      if (x >= world.chunkSize.width || y >= world.chunkSize.height || z >= world.chunkSize.width) {
+        throw new WorldFileError(`World file is corrupt (block out of bounds in chunk ${chunk.x}, ${chunk.y}, ${chunk.z})`);
+      }
+      if (!blockRegistry.has(id)) {
+        throw new WorldFileError(`World file contains unknown block id ${id}`);
+      }
+    }
+  }
+}
+
+/**
+ * @param {BlockChange[]} changes
+ * @returns {Uint8Array}
+ */
+function encodeChanges(changes) {
+  const view = new DataView(new ArrayBuffer(4 + changes.length * 8));
+  view.setUint32(0, changes.length, true);
+  changes.forEach(({ x, y, z, id }, i) => {
+    const offset = 4 + i * 8;
+    view.setUint16(offset, x, true);
+    view.setUint16(offset + 2, y, true);
+    view.setUint16(offset + 4, z, true);
+    view.setUint16(offset + 6, id, true);
+  });
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {BlockChange[]}
+ */
+function decodeChanges(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(0, true);
+  if (bytes.length !== 4 + count * 8) throw new RangeError('Chunk edits have the wrong length');
+
+  const changes = [];
+  for (let i = 0; i < count; i++) {
+    const offset = 4 + i * 8;
+    changes.push({
+      x: view.getUint16(offset, true),
+      y: view.getUint16(offset + 2, true),
+      z: view.getUint16(offset + 4, true),
+      id: view.getUint16(offset + 6, true)
+    });
+  }
+  return changes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function compress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 (IEEE) checksum of 'bytes'
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,86 @@
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+/**
+ * Stores the world in a single JSON file. The whole file is kept in memory
+ * and rewritten on every save, which is plenty for a local server.
+ * @implements {import('../scripts/storage.js').StorageBackend}
+ */
+export class FileBackend {
+  /**
+   * @type {{ chunks: { [chunkKey: string]: object }, meta: { [name: string]: any } } | null}
+   */
+  data = null;
+
+  /**
+   * Resolves once the last write has finished. Writes are chained so the
+   * file is never written by two of them at once.
+   * @type {Promise<void>}
+   */
+  writing = Promise.resolve();
+
+  /**
+   * @param {string} path
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  async loadChunk(chunkKey) {
+    const { chunks } = await this.read();
+    return chunks[chunkKey] && { ...chunks[chunkKey] };
+  }
+
+  async saveChunk(chunkKey, changes) {
+    const { chunks } = await this.read();
+    chunks[chunkKey] = { ...changes };
+    return this.write();
+  }
+
+  async getChunkKeys() {
+    const { chunks } = await this.read();
+    return Object.keys(chunks);
+  }
+
+  async loadMeta(name) {
+    const { meta } = await this.read();
+    return structuredClone(meta[name]);
+  }
+
+  async saveMeta(name, value) {
+    const { meta } = await this.read();
+    meta[name] = structuredClone(value);
+    return this.write();
+  }
+
+  async clear() {
+    this.data = { chunks: {}, meta: {} };
+    return this.write();
+  }
+
+  /**
+   * Reads the file the first time it's needed. A missing file is an empty world.
+   */
+  async read() {
+    if (!this.data) {
+      try {
+        this.data = JSON.parse(await readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.data = { chunks: {}, meta: {} };
+      }
+    }
+    return this.data;
+  }
+
+  /**
+   * Writes to a temporary file first so a crash can't leave half a world behind
+   */
+  write() {
+    // A failed write is reported to its caller, it shouldn't stop the next one
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await writeFile(`${this.path}.tmp`, JSON.stringify(this.data));
+      await rename(`${this.path}.tmp`, this.path);
+    });
+    return this.writing;
+  }
+}
@@ -0,0 +1,209 @@
+import { WebSocketServer } from 'ws';
+import { DataStore } from '../scripts/dataStore.js';
+import { CHUNK_SIZE, WORLD_HEIGHT, createWorldParams, loadParams } from '../scripts/generation.js';
+import { FileBackend } from './fileBackend.js';
+
+/**
+ * A small multiplayer server for playing in the same world on one machine.
+ * It owns the world params (including the seed) and the player changes (stored in a DataStore
+ * backed by a JSON file) and relays block edits and player positions
+ * between the connected clients.
+ *
+ *   npm run server
+ *
+ * then open the game with ?server=localhost:8080
+ *
+ * Settings come from the environment: PORT, WORLD_FILE, and SEED (any
+ * string, only used when creating a new world).
+ */
+
+const port = Number(process.env.PORT ?? 8080);
+const worldFile = process.env.WORLD_FILE ?? new URL('world.json', import.meta.url).pathname;
+
+const dataStore = new DataStore(new FileBackend(worldFile));
+
+// Worlds saved by older versions only have the seed, the rest are the defaults
+const params = createWorldParams(process.env.SEED ?? Math.floor(Math.random() * 10000));
+const savedParams = await dataStore.loadMeta('params');
+if (savedParams) {
+  loadParams(params, savedParams);
+}
+await dataStore.saveMeta('params', params);
+dataStore.startAutoSave();
+
+/**
+ * The connected players, keyed by id
+ * @type {Map<number, { socket: import('ws').WebSocket, position: object | null }>}
+ */
+const players = new Map();
+let nextPlayerId = 1;
+
+// Only reachable from this machine
+const server = new WebSocketServer({ host: 'localhost', port });
+
+server.on('connection', (socket) => {
+  const id = nextPlayerId++;
+  const player = { socket, position: null };
+  players.set(id, player);
+
+  send(socket, {
+    type: 'welcome',
+    id,
+    params,
+    players: [...players].filter(([, { position }]) => position).map(([id, { position }]) => ({ id, ...position }))
+  });
+  console.log(`Player ${id} joined (${players.size} online)`);
+
+  socket.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+      await handleMessage(id, player, message);
+    } catch (error) {
+      console.error(`Bad message from player ${id}: ${error.message}`);
+      if (message?.requestId !== undefined) {
+        send(socket, { type: 'response', requestId: message.requestId, error: error.message });
+      }
+    }
+  });
+
+  socket.on('close', () => {
+    players.delete(id);
+    broadcast({ type: 'playerLeft', id });
+    console.log(`Player ${id} left (${players.size} online)`);
+  });
+});
+
+console.log(`Serving world '${worldFile}' (seed ${params.seed}) on ws://localhost:${port}`);
+
+/**
+ * @param {number} id
+ * @param {{ socket: import('ws').WebSocket, position: object | null }} player
+ * @param {object} message
+ */
+async function handleMessage(id, player, message) {
+  switch (message.type) {
+    case 'loadChunk': {
+      const [chunkX, chunkY, chunkZ] = parseChunkKey(message.chunkKey);
+      await dataStore.loadChunk(chunkX, chunkY, chunkZ);
+      const changes = dataStore.chunks.get(message.chunkKey);
+      respond(player.socket, message, { changes: changes && Object.fromEntries(changes) });
+      break;
+    }
+    case 'getChunkKeys': {
+      await dataStore.save();
+      respond(player.socket, message, { keys: await dataStore.backend.getChunkKeys() });
+      break;
+    }
+    case 'loadMeta': {
+      // Everything else (time, inventory) stays with each player
+      respond(player.socket, message, { value: message.name === 'params' ? params : undefined });
+      break;
+    }
+    case 'setBlock':
+      await setBlock(id, player, message);
+      break;
+    case 'position': {
+      const { x, y, z, yaw } = message;
+      if (![x, y, z, yaw].every(Number.isFinite)) throw new Error('invalid position');
+      player.position = { x, y, z, yaw };
+      broadcast({ type: 'player', id, ...player.position }, id);
+      break;
+    }
+    default:
+      throw new Error(`unknown message type '${message.type}'`);
+  }
+}
+
+/**
+ * Applies a player's edit and passes it on to everyone else. Edits are
+ * applied in the order they arrive. If the block was already changed by
+ * someone else since the player last saw it, their edit is rejected and
+ * they're sent the block as it really is. Either way, the player is told
+ * whether the edit was accepted.
+ * @param {number} id
+ * @param {{ socket: import('ws').WebSocket }} player
+ * @param {{ x: number, y: number, z: number, id: number, previousId: number | null, requestId: number }} edit
+ */
+async function setBlock(id, player, edit) {
+  const { x, y, z } = edit;
+  if (![x, y, z].every(Number.isInteger) || y < 0 || y >= WORLD_HEIGHT) {
+    throw new Error('invalid block position');
+  }
+  if (!Number.isInteger(edit.id) || edit.id < 0 || edit.id > 0xffff) {
+    throw new Error('invalid block id');
+  }
+
+  const { chunk, block } = worldToChunkCoords(x, y, z);
+  await dataStore.loadChunk(chunk.x, chunk.y, chunk.z);
+
+  // Blocks nobody has changed are whatever the generator made, which
+  // every client agrees on
+  const current = dataStore.get(chunk.x, chunk.y, chunk.z, block.x, block.y, block.z);
+  if (current !== undefined && edit.previousId !== null && current !== edit.previousId) {
+    send(player.socket, { type: 'blockChanged', x, y, z, id: current });
+    respond(player.socket, edit, { accepted: false });
+    return;
+  }
+
+  dataStore.set(chunk.x, chunk.y, chunk.z, block.x, block.y, block.z, edit.id);
+  broadcast({ type: 'blockChanged', x, y, z, id: edit.id }, id);
+  respond(player.socket, edit, { accepted: true });
+}
+
+/**
+ * Splits world coordinates into the chunk section's world position and the
+ * block coordinates inside it, the way the DataStore keys them
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ */
+function worldToChunkCoords(x, y, z) {
+  const { width, height } = CHUNK_SIZE;
+  const chunk = {
+    x: Math.floor(x / width) * width,
+    y: Math.floor(y / height) * height,
+    z: Math.floor(z / width) * width
+  };
+  return {
+    chunk,
+    block: { x: x - chunk.x, y: y - chunk.y, z: z - chunk.z }
+  };
+}
+
+/**
+ * @param {string} chunkKey
+ * @returns {number[]}
+ */
+function parseChunkKey(chunkKey) {
+  const match = String(chunkKey).match(/^(-?\d+)-(-?\d+)-(-?\d+)$/);
+  if (!match) throw new Error(`invalid chunk key '${chunkKey}'`);
+  return match.slice(1).map(Number);
+}
+
+function send(socket, message) {
+  socket.send(JSON.stringify(message));
+}
+
+function respond(socket, request, response) {
+  send(socket, { type: 'response', requestId: request.requestId, ...response });
+}
+
+/**
+ * Sends 'message' to every player except 'exceptId'
+ * @param {object} message
+ * @param {number} exceptId
+ */
+function broadcast(message, exceptId = null) {
+  for (const [id, { socket }] of players) {
+    if (id !== exceptId) send(socket, message);
+  }
+}
+
+// Save on the way out
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await dataStore.save();
+    process.exit(0);
+  });
+}
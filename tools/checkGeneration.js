@@ -0,0 +1,66 @@
+import { CHUNK_SIZE, WORLD_HEIGHT, createWorldParams, generateChunk } from '../scripts/generation.js';
+
+/**
+ * Regression check for world generation: generates the same chunks for a
+ * few fixed seeds (and generator versions) and compares a checksum of the
+ * blocks with the known value.
+ *
+ *   npm run check:generation
+ *
+ * If generation was changed on purpose, update the checksums below with
+ * the ones this prints.
+ */
+
+const expected = [
+  { seed: 1234, checksum: 2705127210 },
+  { seed: 'hello world', checksum: 2634766309 },
+  // Worlds saved before GENERATOR_VERSION 2 must keep their biomes
+  { seed: 'hello world', version: 1, checksum: 1504045162 }
+];
+
+/**
+ * The chunks checked, a few columns around the origin from top to bottom
+ */
+const chunks = [];
+for (let x = -1; x <= 1; x++) {
+  for (let z = -1; z <= 1; z++) {
+    for (let y = 0; y < WORLD_HEIGHT / CHUNK_SIZE.height; y++) {
+      chunks.push({ x, y, z });
+    }
+  }
+}
+
+let failed = false;
+
+for (const { seed, version, checksum } of expected) {
+  const params = createWorldParams(seed);
+  params.version = version ?? params.version;
+  const label = `Seed '${seed}' (version ${params.version})`;
+
+  const actual = checksumChunks(params);
+  if (actual !== checksum) {
+    console.error(`${label}: checksum ${actual}, expected ${checksum}`);
+    failed = true;
+  } else {
+    console.log(`${label}: ok (${actual})`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
+
+/**
+ * Generates the chunks and returns a 32-bit FNV-1a checksum of the blocks
+ * @param {object} params
+ * @returns {number}
+ */
+function checksumChunks(params) {
+  let h = 0x811c9dc5;
+  for (const { x, y, z } of chunks) {
+    // Empty sections count as all air
+    const ids = generateChunk(params, x, y, z) ?? new Uint16Array(CHUNK_SIZE.width * CHUNK_SIZE.width * CHUNK_SIZE.height);
+    for (const id of ids) {
+      h = Math.imul(h ^ id, 0x01000193);
+    }
+  }
+  return h >>> 0;
+}